@@ -7,7 +7,12 @@ import { SystemMonitorComponent } from './components/systemMonitor.js';
 import { WorldInfoComponent } from './components/worldInfo.js';
 import { CharacterManagerComponent } from './components/characterManager.js';
 import { SettingsComponent } from './components/settings.js';
-import { characterStorage } from './utils/storage.js';
+import { ModelManagerComponent } from './components/modelManager.js';
+import { BranchNavigatorComponent } from './components/branchNavigator.js';
+import { SearchComponent } from './components/search.js';
+import { characterStorage, groupStorage, chatStorage } from './utils/storage.js';
+import { api } from './utils/api.js';
+import { searchIndex } from './utils/search.js';
 import { UI_CONSTANTS } from './utils/constants.js';
 
 class LLMAXXApp {
@@ -33,6 +38,15 @@ class LLMAXXApp {
         window.appEvents = this.eventBus;
       }
       
+      // Keep the API layer in sync with settings before components load them
+      api.attachEventBus(this.eventBus);
+      
+      // Chats archive messages past the history limit from the settings
+      chatStorage.attachEventBus(this.eventBus);
+      
+      // Search follows chat changes as they are saved
+      searchIndex.attach(chatStorage);
+      
       // Initialize components
       await this.initializeComponents();
       
@@ -73,6 +87,15 @@ class LLMAXXApp {
     // Initialize settings
     this.components.settings = new SettingsComponent();
     
+    // Initialize model manager
+    this.components.modelManager = new ModelManagerComponent();
+    
+    // Initialize branch navigator
+    this.components.branchNavigator = new BranchNavigatorComponent();
+    
+    // Initialize conversation search
+    this.components.search = new SearchComponent();
+    
     // Setup radial menus
     this.setupRadialMenus();
     
@@ -168,6 +191,11 @@ class LLMAXXApp {
       this.updateActiveCharacterDisplay(character);
     });
 
+    // Remember the open chat session across restarts
+    this.eventBus.addEventListener('session-selected', () => {
+      this.saveUIState();
+    });
+
     // Settings events
     this.eventBus.addEventListener('settings-changed', (e) => {
       this.handleSettingsChange(e.detail);
@@ -245,8 +273,12 @@ class LLMAXXApp {
         
         // Restore active character
         if (uiState.activeCharacter) {
-          const character = await characterStorage.getCharacter(uiState.activeCharacter);
+          const character = await characterStorage.getCharacter(uiState.activeCharacter)
+            || await groupStorage.getGroup(uiState.activeCharacter);
           if (character) {
+            if (uiState.activeSession) {
+              await chatStorage.setActiveSession(character.name, uiState.activeSession);
+            }
             this.eventBus.dispatchEvent(new CustomEvent('character-selected', { detail: character }));
           }
         }
@@ -262,6 +294,7 @@ class LLMAXXApp {
         chatCollapsed: this.components.chat?.isCollapsed || false,
         worldInfoCollapsed: this.components.worldInfo?.isCollapsed || false,
         activeCharacter: this.components.chat?.currentCharacter?.name || null,
+        activeSession: this.components.chat?.activeSession?.id || null,
         timestamp: Date.now()
       };
       
@@ -0,0 +1,241 @@
+// LLMAXX Branch Navigator Component
+// Shows the branch tree of a chat session and switches, renames and deletes branches
+
+import { chatStorage } from '../utils/storage.js';
+import { MAIN_BRANCH } from '../utils/constants.js';
+
+class BranchNavigatorComponent {
+  constructor() {
+    this.overlay = null;
+    this.chatName = null;
+
+    this.init();
+  }
+
+  init() {
+    this.bindEvents();
+  }
+
+  bindEvents() {
+    // Keyboard shortcuts
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.overlay) {
+        this.close();
+      }
+    });
+
+    // The chat header's branch button and "Branch from here" open the tree
+    if (typeof window !== 'undefined' && window.appEvents) {
+      window.appEvents.addEventListener('open-branch-navigator', (e) => {
+        this.open(e.detail?.chatName);
+      });
+    }
+  }
+
+  open(chatName) {
+    if (!chatName) return;
+
+    this.chatName = chatName;
+    if (this.overlay) {
+      this.refresh();
+      return;
+    }
+
+    this.overlay = document.createElement('div');
+    this.overlay.className = 'branch-navigator-overlay';
+
+    const modal = document.createElement('div');
+    modal.className = 'branch-navigator panel';
+    modal.innerHTML = `
+      <div class="modal-header flex-between">
+        <h3 class="heading">Branches</h3>
+        <button class="icon-button" id="closeBranchNavigator">
+          <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <path d="M18 6L6 18M6 6l12 12"/>
+          </svg>
+        </button>
+      </div>
+      <p class="text-muted branch-navigator-hint">
+        Use "Branch from here" on any message to explore a different path.
+      </p>
+      <div class="branch-tree-container" id="branchTree">
+        <p class="text-muted">Loading branches...</p>
+      </div>
+    `;
+
+    this.overlay.appendChild(modal);
+    document.body.appendChild(this.overlay);
+
+    modal.querySelector('#closeBranchNavigator').addEventListener('click', () => this.close());
+    this.overlay.addEventListener('click', (e) => {
+      if (e.target === this.overlay) this.close();
+    });
+
+    this.refresh();
+
+    // Add entrance animation
+    this.overlay.classList.add('entrance-fade-in');
+    modal.classList.add('entrance-scale-in');
+  }
+
+  close() {
+    if (!this.overlay) return;
+
+    const overlay = this.overlay;
+    this.overlay = null;
+
+    overlay.classList.add('exit-fade-out');
+    setTimeout(() => {
+      if (overlay.parentNode) {
+        overlay.parentNode.removeChild(overlay);
+      }
+    }, 200);
+  }
+
+  async refresh() {
+    const container = this.overlay?.querySelector('#branchTree');
+    if (!container) return;
+
+    try {
+      const tree = await chatStorage.getBranches(this.chatName);
+      const counts = new Map();
+
+      for (const branch of tree.branches) {
+        const messages = await chatStorage.getChatHistory(chatStorage.getBranchChatName(this.chatName, branch.id));
+        counts.set(branch.id, messages.length);
+      }
+
+      container.innerHTML = '';
+      container.appendChild(this.renderTree(tree, counts));
+    } catch (error) {
+      console.error('Failed to load branches:', error);
+      container.innerHTML = '<p class="text-muted">Failed to load branches</p>';
+    }
+  }
+
+  // Nested lists, one per level; a branch whose parent is gone shows as a root
+  renderTree(tree, counts) {
+    const ids = new Set(tree.branches.map(branch => branch.id));
+    const children = new Map();
+
+    tree.branches.forEach(branch => {
+      const parentId = ids.has(branch.parentId) ? branch.parentId : null;
+      if (!children.has(parentId)) children.set(parentId, []);
+      children.get(parentId).push(branch);
+    });
+
+    const renderLevel = (parentId) => {
+      const list = document.createElement('ul');
+      list.className = 'branch-tree';
+
+      (children.get(parentId) || []).forEach(branch => {
+        const item = document.createElement('li');
+        item.appendChild(this.renderBranch(branch, tree.activeBranch, counts.get(branch.id) || 0));
+        if (children.has(branch.id)) {
+          item.appendChild(renderLevel(branch.id));
+        }
+        list.appendChild(item);
+      });
+
+      return list;
+    };
+
+    return renderLevel(null);
+  }
+
+  renderBranch(branch, activeBranch, messageCount) {
+    const node = document.createElement('div');
+    node.className = 'branch-node';
+    node.classList.toggle('active', branch.id === activeBranch);
+
+    const info = document.createElement('button');
+    info.className = 'branch-info';
+    info.title = 'Switch to this branch';
+
+    const name = document.createElement('span');
+    name.className = 'branch-name';
+    name.textContent = branch.name;
+
+    const meta = document.createElement('span');
+    meta.className = 'branch-meta';
+    const details = [`${messageCount} message${messageCount === 1 ? '' : 's'}`];
+    if (branch.createdAt) {
+      details.push(new Date(branch.createdAt).toLocaleString());
+    }
+    meta.textContent = details.join(' · ');
+
+    info.append(name, meta);
+
+    if (branch.forkPreview) {
+      const preview = document.createElement('span');
+      preview.className = 'branch-preview';
+      preview.textContent = `Forked at “${branch.forkPreview}”`;
+      info.appendChild(preview);
+    }
+
+    info.addEventListener('click', () => this.selectBranch(branch.id));
+    node.appendChild(info);
+
+    const actions = document.createElement('div');
+    actions.className = 'branch-actions';
+
+    const rename = document.createElement('button');
+    rename.className = 'message-action';
+    rename.textContent = '✏️';
+    rename.title = 'Rename branch';
+    rename.addEventListener('click', () => this.renameBranch(branch));
+    actions.appendChild(rename);
+
+    if (branch.id !== MAIN_BRANCH.id) {
+      const remove = document.createElement('button');
+      remove.className = 'message-action';
+      remove.textContent = '🗑️';
+      remove.title = 'Delete branch';
+      remove.addEventListener('click', () => this.deleteBranch(branch));
+      actions.appendChild(remove);
+    }
+
+    node.appendChild(actions);
+    return node;
+  }
+
+  async selectBranch(branchId) {
+    await chatStorage.setActiveBranch(this.chatName, branchId);
+    this.notifyBranchSelected(branchId);
+    this.close();
+  }
+
+  async renameBranch(branch) {
+    const name = prompt('Branch name', branch.name)?.trim();
+    if (!name || name === branch.name) return;
+
+    await chatStorage.renameBranch(this.chatName, branch.id, name);
+    const tree = await chatStorage.getBranches(this.chatName);
+    this.notifyBranchSelected(tree.activeBranch);
+    this.refresh();
+  }
+
+  async deleteBranch(branch) {
+    if (!confirm(`Delete the branch "${branch.name}"? Its messages will be lost; branches forked from it are kept.`)) {
+      return;
+    }
+
+    await chatStorage.deleteBranch(this.chatName, branch.id);
+    const tree = await chatStorage.getBranches(this.chatName);
+    this.notifyBranchSelected(tree.activeBranch);
+    this.refresh();
+  }
+
+  // The chat reloads from the branch tree, so this also covers renames
+  // and deleting the branch that was open
+  notifyBranchSelected(branchId) {
+    if (typeof window !== 'undefined' && window.appEvents) {
+      window.appEvents.dispatchEvent(new CustomEvent('branch-selected', {
+        detail: { chatName: this.chatName, branchId }
+      }));
+    }
+  }
+}
+
+// Export for use in main app
+export { BranchNavigatorComponent };
@@ -1,8 +1,13 @@
 // LLMAXX Character Manager Component
 // Handles character creation, editing, importing, and management
 
-import { characterStorage, chatStorage } from '../utils/storage.js';
-import { CHARACTER_TEMPLATE, MESSAGE_TYPES } from '../utils/constants.js';
+import { characterStorage, groupStorage, chatStorage } from '../utils/storage.js';
+import { transcripts, IMPORT_FORMATS } from '../utils/transcripts.js';
+import { escapeHtml } from '../utils/markdown.js';
+import { CHARACTER_TEMPLATE, GROUP_TEMPLATE, TURN_ORDERS, MESSAGE_TYPES } from '../utils/constants.js';
+
+// Character select value for "create a character for this chat"
+const NEW_CHARACTER = '__new__';
 
 class CharacterManagerComponent {
   constructor() {
@@ -12,9 +17,12 @@ class CharacterManagerComponent {
     this.modalBody = document.getElementById('modalBody');
     this.closeModalBtn = document.getElementById('closeModal');
     
-    this.currentView = 'list'; // list, create, edit, import
+    this.currentView = 'list'; // list, create, edit, import, import-chat, group
     this.editingCharacter = null;
+    this.editingGroup = null;
+    this.pendingChatImport = null;
     this.characters = [];
+    this.groups = [];
     
     this.init();
   }
@@ -49,6 +57,7 @@ class CharacterManagerComponent {
   async loadCharacters() {
     try {
       this.characters = await characterStorage.getCharacters();
+      this.groups = await groupStorage.getGroups();
     } catch (error) {
       console.error('Failed to load characters:', error);
       this.showError('Failed to load characters');
@@ -73,11 +82,20 @@ class CharacterManagerComponent {
             <span class="control-icon">📥</span>
             Import Character
           </button>
+          <button class="button" id="importChatBtn">
+            <span class="control-icon">💬</span>
+            Import Chat
+          </button>
+          <button class="button" id="createGroupBtn">
+            <span class="control-icon">👥</span>
+            Create Group
+          </button>
         </div>
       </div>
       <div class="character-grid" id="characterGrid">
         ${this.renderCharacterGrid()}
       </div>
+      ${this.renderGroupGrid()}
     `;
 
     this.modalBody.innerHTML = content;
@@ -137,6 +155,52 @@ class CharacterManagerComponent {
     `).join('');
   }
 
+  // Group chats sit below the characters, with the same card actions
+  renderGroupGrid() {
+    if (this.groups.length === 0) return '';
+
+    return `
+      <h4 class="group-section-title">Group Chats</h4>
+      <div class="character-grid">
+        ${this.groups.map(group => `
+          <div class="character-card group-card" data-group="${escapeHtml(group.name)}">
+            <div class="character-avatar group-avatar">👥</div>
+            <div class="character-info">
+              <h4 class="character-name">${escapeHtml(group.name)}</h4>
+              <p class="character-description">${escapeHtml(group.members.join(', ')) || 'No members'}</p>
+              <div class="character-tags">
+                <span class="character-tag">${this.getTurnOrder(group.turnOrder).name}</span>
+              </div>
+            </div>
+            <div class="character-actions">
+              <button class="icon-button select-group" title="Open Group Chat">
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                  <path d="M20 6L9 17l-5-5"/>
+                </svg>
+              </button>
+              <button class="icon-button edit-group" title="Edit Group">
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                  <path d="M11 4H4a2 2 0 00-2 2v14a2 2 0 002 2h14a2 2 0 002-2v-7"></path>
+                  <path d="M18.5 2.5a2.121 2.121 0 013 3L12 15l-4 1 1-4 9.5-9.5z"></path>
+                </svg>
+              </button>
+              <button class="icon-button delete-group" title="Delete Group">
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                  <path d="M3 6h18"></path>
+                  <path d="M19 6v14a2 2 0 01-2 2H7a2 2 0 01-2-2V6m3 0V4a2 2 0 012-2h4a2 2 0 012 2v2"></path>
+                </svg>
+              </button>
+            </div>
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  getTurnOrder(id) {
+    return Object.values(TURN_ORDERS).find(order => order.id === id) || TURN_ORDERS.roundRobin;
+  }
+
   bindCharacterListEvents() {
     // Create character button
     document.getElementById('createCharacterBtn')?.addEventListener('click', () => {
@@ -148,8 +212,32 @@ class CharacterManagerComponent {
       this.showImportCharacter();
     });
 
-    // Character card actions
+    // Import chat button
+    document.getElementById('importChatBtn')?.addEventListener('click', () => {
+      this.showImportChat();
+    });
+
+    // Create group button
+    document.getElementById('createGroupBtn')?.addEventListener('click', () => {
+      this.showGroupForm();
+    });
+
+    // Character and group card actions
     this.modalBody.addEventListener('click', (e) => {
+      const groupCard = e.target.closest('.group-card');
+      if (groupCard) {
+        const groupName = groupCard.dataset.group;
+
+        if (e.target.closest('.select-group')) {
+          this.selectCharacter(groupName);
+        } else if (e.target.closest('.edit-group')) {
+          this.showGroupForm(groupName);
+        } else if (e.target.closest('.delete-group')) {
+          this.deleteGroup(groupName);
+        }
+        return;
+      }
+
       const characterCard = e.target.closest('.character-card');
       if (!characterCard) return;
 
@@ -202,6 +290,8 @@ class CharacterManagerComponent {
           <textarea id="charFirstMessage" class="form-input" rows="3" placeholder="The character's opening message..."></textarea>
         </div>
         
+        ${this.renderAlternateGreetings()}
+        
         <div class="form-group">
           <label for="charExampleMessages" class="form-label">Example Messages</label>
           <textarea id="charExampleMessages" class="form-input" rows="4" placeholder="Example messages that demonstrate the character's speaking style..."></textarea>
@@ -270,6 +360,8 @@ class CharacterManagerComponent {
           <textarea id="charFirstMessage" class="form-input" rows="3">${character.data?.first_mes || ''}</textarea>
         </div>
         
+        ${this.renderAlternateGreetings(character.data?.alternate_greetings)}
+        
         <div class="form-group">
           <label for="charExampleMessages" class="form-label">Example Messages</label>
           <textarea id="charExampleMessages" class="form-input" rows="4">${character.data?.mes_example || ''}</textarea>
@@ -298,6 +390,178 @@ class CharacterManagerComponent {
     this.bindCharacterFormEvents();
   }
 
+  // Members are picked from the saved characters; round robin follows the
+  // order they are listed in, current members first
+  showGroupForm(groupName = null) {
+    const group = groupName ? this.groups.find(g => g.name === groupName) : null;
+    if (groupName && !group) return;
+
+    this.editingGroup = group;
+    this.currentView = 'group';
+    this.modalTitle.textContent = group ? `Edit ${group.name}` : 'Create Group';
+
+    const members = group?.members || [];
+    const candidates = [
+      ...members.filter(name => this.characters.some(c => c.name === name)),
+      ...this.characters.map(c => c.name).filter(name => !members.includes(name))
+    ];
+
+    const content = `
+      <form id="groupForm">
+        <div class="form-group">
+          <label for="groupName" class="form-label">Group Name *</label>
+          <input type="text" id="groupName" class="form-input" placeholder="Enter group name" value="${escapeHtml(group?.name || '')}" required />
+        </div>
+
+        <div class="form-group">
+          <label class="form-label">Members *</label>
+          <div class="group-member-options">
+            ${candidates.length > 0 ? candidates.map(name => `
+              <label class="group-member-option">
+                <input type="checkbox" value="${escapeHtml(name)}" ${members.includes(name) ? 'checked' : ''} />
+                ${escapeHtml(name)}
+              </label>
+            `).join('') : '<p class="text-muted">Create some characters first</p>'}
+          </div>
+        </div>
+
+        <div class="form-group">
+          <label for="groupTurnOrder" class="form-label">Turn Order</label>
+          <select id="groupTurnOrder" class="form-input">
+            ${Object.values(TURN_ORDERS).map(order => `
+              <option value="${order.id}" ${order.id === (group?.turnOrder || GROUP_TEMPLATE.turnOrder) ? 'selected' : ''}>${order.name} — ${order.description}</option>
+            `).join('')}
+          </select>
+        </div>
+
+        <div class="form-actions flex-between">
+          <button type="button" class="button" onclick="characterManager.showCharacterList()">Cancel</button>
+          ${group ? '<button type="button" class="button danger" id="deleteGroupBtn">Delete Group</button>' : ''}
+          <button type="submit" class="button">${group ? 'Update Group' : 'Create Group'}</button>
+        </div>
+      </form>
+    `;
+
+    this.modalBody.innerHTML = content;
+    this.addFormStyles();
+    this.bindGroupFormEvents();
+  }
+
+  bindGroupFormEvents() {
+    const form = document.getElementById('groupForm');
+    if (!form) return;
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      await this.saveGroup();
+    });
+
+    document.getElementById('deleteGroupBtn')?.addEventListener('click', () => {
+      if (this.editingGroup) {
+        this.deleteGroup(this.editingGroup.name);
+      }
+    });
+  }
+
+  async saveGroup() {
+    const name = document.getElementById('groupName')?.value.trim() || '';
+    const members = [...document.querySelectorAll('.group-member-option input:checked')].map(input => input.value);
+    const turnOrder = document.getElementById('groupTurnOrder')?.value || GROUP_TEMPLATE.turnOrder;
+
+    if (!name) {
+      this.showError('Group name is required');
+      return;
+    }
+    if (members.length < 2) {
+      this.showError('Pick at least two members');
+      return;
+    }
+
+    // Group chats are stored under the group's name, so it has to be free
+    const renamed = this.editingGroup && this.editingGroup.name !== name;
+    if (this.characters.some(c => c.name === name) ||
+      ((!this.editingGroup || renamed) && this.groups.some(g => g.name === name))) {
+      this.showError(`"${name}" is already taken by a character or group`);
+      return;
+    }
+
+    try {
+      const group = {
+        ...GROUP_TEMPLATE,
+        ...this.editingGroup,
+        name,
+        members,
+        turnOrder,
+        createdAt: this.editingGroup?.createdAt || Date.now()
+      };
+
+      if (renamed) {
+        await groupStorage.deleteGroup(this.editingGroup.name);
+        await this.renameCharacterInHistory(this.editingGroup.name, name);
+      }
+      await groupStorage.saveGroup(group);
+
+      // An open group chat picks up the new members and turn order
+      const active = await characterStorage.getActiveCharacter();
+      const wasActive = active?.isGroup && active.name === (this.editingGroup?.name || name);
+
+      await this.loadCharacters();
+      if (wasActive) {
+        await this.selectCharacter(name, 'Group updated successfully');
+      } else {
+        this.showCharacterList();
+        this.showSuccess(this.editingGroup ? 'Group updated successfully' : 'Group created successfully');
+      }
+    } catch (error) {
+      console.error('Failed to save group:', error);
+      this.showError('Failed to save group');
+    }
+  }
+
+  async deleteGroup(groupName) {
+    if (!confirm(`Are you sure you want to delete the group "${groupName}" and its chats? This action cannot be undone.`)) {
+      return;
+    }
+
+    try {
+      await groupStorage.deleteGroup(groupName);
+      await chatStorage.clearCharacterChats(groupName);
+
+      await this.loadCharacters();
+      this.showCharacterList();
+      this.showSuccess('Group deleted successfully');
+    } catch (error) {
+      console.error('Failed to delete group:', error);
+      this.showError('Failed to delete group');
+    }
+  }
+
+  // Other openings a new chat can swipe to instead of the first message
+  renderAlternateGreetings(greetings = []) {
+    return `
+      <div class="form-group">
+        <label class="form-label">Alternate Greetings</label>
+        <div class="alternate-greetings" id="alternateGreetings">
+          ${greetings.map(greeting => this.renderAlternateGreeting(greeting)).join('')}
+        </div>
+        <button type="button" class="button" id="addGreetingBtn">Add Greeting</button>
+      </div>
+    `;
+  }
+
+  renderAlternateGreeting(greeting = '') {
+    return `
+      <div class="alternate-greeting">
+        <textarea class="form-input alternate-greeting-input" rows="2" placeholder="Another way the character can open a chat...">${escapeHtml(greeting)}</textarea>
+        <button type="button" class="icon-button remove-greeting" title="Remove greeting">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <path d="M18 6L6 18M6 6l12 12"/>
+          </svg>
+        </button>
+      </div>
+    `;
+  }
+
   showImportCharacter() {
     this.currentView = 'import';
     this.modalTitle.textContent = 'Import Character';
@@ -340,6 +604,165 @@ class CharacterManagerComponent {
     this.bindImportEvents();
   }
 
+  showImportChat() {
+    this.currentView = 'import-chat';
+    this.modalTitle.textContent = 'Import Chat';
+    this.pendingChatImport = null;
+
+    const content = `
+      <div class="import-options">
+        <div class="import-option">
+          <h4>Chat Log</h4>
+          <p class="text-muted">A SillyTavern chat (.jsonl, swipes included), an LLMAXX JSONL export or OpenAI-style messages JSON</p>
+          <input type="file" id="chatFileInput" accept=".jsonl,.json" class="file-input" />
+          <button class="button" id="selectChatFileBtn">Select File</button>
+          <p class="text-muted chat-import-summary" id="chatImportSummary"></p>
+        </div>
+
+        <div class="import-option hidden" id="chatImportTarget">
+          <h4>Character</h4>
+          <p class="text-muted">Replies in the log become this character's messages. The chat is added as a new session; existing chats are kept.</p>
+          <div class="form-group">
+            <select id="chatImportCharacter" class="form-input"></select>
+          </div>
+          <div class="form-group" id="chatImportNewName">
+            <label for="chatImportName" class="form-label">New Character Name</label>
+            <input type="text" id="chatImportName" class="form-input" placeholder="Enter character name" />
+          </div>
+          <button class="button" id="importChatFileBtn">Import Chat</button>
+        </div>
+      </div>
+
+      <div class="form-actions">
+        <button class="button" onclick="characterManager.showCharacterList()">Back to Characters</button>
+      </div>
+    `;
+
+    this.modalBody.innerHTML = content;
+    this.addFormStyles();
+    this.bindImportChatEvents();
+  }
+
+  bindImportChatEvents() {
+    const fileInput = document.getElementById('chatFileInput');
+
+    document.getElementById('selectChatFileBtn')?.addEventListener('click', () => {
+      fileInput?.click();
+    });
+
+    fileInput?.addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (file) {
+        this.readChatFile(file);
+      }
+    });
+
+    document.getElementById('chatImportCharacter')?.addEventListener('change', (e) => {
+      document.getElementById('chatImportNewName').classList.toggle('hidden', e.target.value !== NEW_CHARACTER);
+    });
+
+    document.getElementById('importChatFileBtn')?.addEventListener('click', () => {
+      this.importChat();
+    });
+  }
+
+  async readChatFile(file) {
+    try {
+      const transcript = transcripts.parse(await file.text(), file.name);
+      if (transcript.messages.length === 0) {
+        throw new Error('No messages found');
+      }
+
+      this.pendingChatImport = transcript;
+      this.showChatImportTarget(transcript);
+    } catch (error) {
+      console.error('Chat import error:', error);
+      this.pendingChatImport = null;
+      document.getElementById('chatImportTarget')?.classList.add('hidden');
+      this.showError(`Import failed: ${error.message}`);
+    }
+  }
+
+  // Summarize the log and preselect the character it was recorded with
+  showChatImportTarget(transcript) {
+    const { messages } = transcript;
+    const first = new Date(messages[0].timestamp).toLocaleDateString();
+    const last = new Date(messages[messages.length - 1].timestamp).toLocaleDateString();
+
+    document.getElementById('chatImportSummary').textContent = [
+      IMPORT_FORMATS[transcript.format],
+      `${messages.length} message${messages.length === 1 ? '' : 's'}`,
+      first === last ? first : `${first} – ${last}`,
+      transcript.characterName ? `with ${transcript.characterName}` : null
+    ].filter(Boolean).join(' · ');
+
+    const select = document.getElementById('chatImportCharacter');
+    select.innerHTML = '';
+    this.characters.forEach(character => {
+      const option = document.createElement('option');
+      option.value = character.name;
+      option.textContent = character.name;
+      select.appendChild(option);
+    });
+
+    const newOption = document.createElement('option');
+    newOption.value = NEW_CHARACTER;
+    newOption.textContent = 'New character…';
+    select.appendChild(newOption);
+
+    const detected = transcript.characterName?.toLowerCase();
+    const match = this.characters.find(character => character.name.toLowerCase() === detected);
+    select.value = match ? match.name : NEW_CHARACTER;
+
+    document.getElementById('chatImportName').value = transcript.characterName || '';
+    document.getElementById('chatImportNewName').classList.toggle('hidden', select.value !== NEW_CHARACTER);
+    document.getElementById('chatImportTarget').classList.remove('hidden');
+  }
+
+  async importChat() {
+    const transcript = this.pendingChatImport;
+    if (!transcript) return;
+
+    let characterName = document.getElementById('chatImportCharacter').value;
+
+    try {
+      if (characterName === NEW_CHARACTER) {
+        characterName = document.getElementById('chatImportName').value.trim();
+        if (!characterName) {
+          this.showError('Enter a name for the new character');
+          return;
+        }
+        if (this.characters.some(character => character.name === characterName)) {
+          this.showError(`"${characterName}" already exists; pick it from the list instead`);
+          return;
+        }
+        if (this.groups.some(group => group.name === characterName)) {
+          this.showError(`"${characterName}" is already the name of a group`);
+          return;
+        }
+
+        // JSONL and SillyTavern files written by LLMAXX carry the card details
+        await characterStorage.saveCharacter(this.normalizeImportedCharacter({
+          ...transcript.character,
+          name: characterName
+        }));
+        await this.loadCharacters();
+      }
+
+      const messages = transcript.messages.map(message => ({
+        ...message,
+        id: chatStorage.createMessageId()
+      }));
+      const session = await chatStorage.createSession(characterName, { title: transcript.title, messages });
+
+      this.pendingChatImport = null;
+      await this.selectCharacter(characterName, `Imported ${messages.length} messages into "${session.title}"`);
+    } catch (error) {
+      console.error('Chat import error:', error);
+      this.showError('Failed to import chat');
+    }
+  }
+
   bindCharacterFormEvents() {
     const form = document.getElementById('characterForm');
     if (!form) return;
@@ -349,6 +772,16 @@ class CharacterManagerComponent {
       await this.saveCharacter();
     });
 
+    // Alternate greetings
+    const greetings = document.getElementById('alternateGreetings');
+    document.getElementById('addGreetingBtn')?.addEventListener('click', () => {
+      greetings.insertAdjacentHTML('beforeend', this.renderAlternateGreeting());
+      greetings.lastElementChild.querySelector('textarea').focus();
+    });
+    greetings?.addEventListener('click', (e) => {
+      e.target.closest('.remove-greeting')?.closest('.alternate-greeting').remove();
+    });
+
     // Delete button in edit mode
     const deleteBtn = document.getElementById('deleteInEditBtn');
     if (deleteBtn) {
@@ -402,6 +835,11 @@ class CharacterManagerComponent {
       return;
     }
 
+    if (this.groups.some(group => group.name === formData.name)) {
+      this.showError(`"${formData.name}" is already the name of a group`);
+      return;
+    }
+
     try {
       const character = {
         ...CHARACTER_TEMPLATE,
@@ -414,6 +852,7 @@ class CharacterManagerComponent {
           personality: formData.personality,
           scenario: formData.scenario,
           first_mes: formData.firstMessage,
+          alternate_greetings: formData.alternateGreetings,
           mes_example: formData.exampleMessages,
           system_prompt: formData.systemPrompt,
           tags: formData.tags.split(',').map(tag => tag.trim()).filter(tag => tag)
@@ -427,6 +866,7 @@ class CharacterManagerComponent {
         if (this.editingCharacter.name !== character.name) {
           // Character name changed, need to handle chat history migration
           await this.renameCharacterInHistory(this.editingCharacter.name, character.name);
+          await groupStorage.renameMember(this.editingCharacter.name, character.name);
         }
         this.showSuccess('Character updated successfully');
       } else {
@@ -450,24 +890,29 @@ class CharacterManagerComponent {
       personality: document.getElementById('charPersonality')?.value.trim() || '',
       scenario: document.getElementById('charScenario')?.value.trim() || '',
       firstMessage: document.getElementById('charFirstMessage')?.value.trim() || '',
+      alternateGreetings: [...document.querySelectorAll('.alternate-greeting-input')]
+        .map(input => input.value.trim())
+        .filter(Boolean),
       exampleMessages: document.getElementById('charExampleMessages')?.value.trim() || '',
       systemPrompt: document.getElementById('charSystemPrompt')?.value.trim() || '',
       tags: document.getElementById('charTags')?.value.trim() || ''
     };
   }
 
-  async selectCharacter(characterName) {
+  // Groups are selected like characters; the chat opens the group chat
+  async selectCharacter(characterName, successMessage = null) {
     try {
-      const character = await characterStorage.getCharacter(characterName);
+      const character = await characterStorage.getCharacter(characterName)
+        || await groupStorage.getGroup(characterName);
       if (character) {
         await characterStorage.setActiveCharacter(character);
         
         // Notify other components
         if (typeof window !== 'undefined' && window.appEvents) {
-          window.appEvents.emit('character-selected', character);
+          window.appEvents.dispatchEvent(new CustomEvent('character-selected', { detail: character }));
         }
         
-        this.showSuccess(`${character.name} selected as active character`);
+        this.showSuccess(successMessage || `${character.name} selected as active character`);
         this.closeModal();
       }
     } catch (error) {
@@ -483,7 +928,8 @@ class CharacterManagerComponent {
 
     try {
       await characterStorage.deleteCharacter(characterName);
-      await chatStorage.clearChatHistory(characterName);
+      await chatStorage.clearCharacterChats(characterName);
+      await groupStorage.removeMember(characterName);
       
       await this.loadCharacters();
       this.showCharacterList();
@@ -560,6 +1006,10 @@ class CharacterManagerComponent {
     try {
       // Normalize character data to our format
       const character = this.normalizeImportedCharacter(characterData);
+      if (this.groups.some(group => group.name === character.name)) {
+        this.showError(`"${character.name}" is already the name of a group`);
+        return;
+      }
       
       await characterStorage.saveCharacter(character);
       await this.loadCharacters();
@@ -584,6 +1034,7 @@ class CharacterManagerComponent {
         personality: data.personality || '',
         scenario: data.scenario || '',
         first_mes: data.first_mes || data.first_message || '',
+        alternate_greetings: data.alternate_greetings || data.data?.alternate_greetings || [],
         mes_example: data.mes_example || data.example_messages || '',
         system_prompt: data.system_prompt || '',
         tags: data.tags || []
@@ -593,12 +1044,7 @@ class CharacterManagerComponent {
 
   async renameCharacterInHistory(oldName, newName) {
     try {
-      const allHistory = await chatStorage.getChatHistory();
-      if (allHistory[oldName]) {
-        allHistory[newName] = allHistory[oldName];
-        delete allHistory[oldName];
-        await chatStorage.set(STORAGE_KEYS.chatHistory, allHistory);
-      }
+      await chatStorage.renameCharacterChats(oldName, newName);
     } catch (error) {
       console.error('Failed to rename character in history:', error);
     }
@@ -608,6 +1054,8 @@ class CharacterManagerComponent {
     this.characterModal.classList.add('hidden');
     this.currentView = 'list';
     this.editingCharacter = null;
+    this.editingGroup = null;
+    this.pendingChatImport = null;
   }
 
   addFormStyles() {
@@ -784,6 +1232,49 @@ class CharacterManagerComponent {
         display: none;
       }
       
+      .import-option .chat-import-summary {
+        margin: var(--spacing-md) 0 0 0;
+      }
+      
+      .import-option .chat-import-summary:empty {
+        display: none;
+      }
+      
+      .alternate-greeting {
+        display: flex;
+        gap: var(--spacing-xs);
+        align-items: flex-start;
+        margin-bottom: var(--spacing-sm);
+      }
+      
+      .group-section-title {
+        margin: var(--spacing-xl) 0 0 0;
+        color: var(--text-secondary);
+      }
+      
+      .character-avatar.group-avatar {
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        background: var(--bg-tertiary);
+        font-size: 28px;
+      }
+      
+      .group-member-options {
+        display: grid;
+        grid-template-columns: repeat(auto-fill, minmax(160px, 1fr));
+        gap: var(--spacing-xs) var(--spacing-md);
+      }
+      
+      .group-member-option {
+        display: flex;
+        align-items: center;
+        gap: var(--spacing-xs);
+        color: var(--text-primary);
+        font-size: 14px;
+        cursor: pointer;
+      }
+      
       .button.danger {
         background: var(--status-danger);
         border-color: var(--status-danger);
@@ -1,9 +1,35 @@
 // LLMAXX Chat Component
 // Handles chat functionality including message display, sending, and history
 
-import { chatStorage, characterStorage } from '../utils/storage.js';
-import { api } from '../utils/api.js';
-import { MESSAGE_TYPES } from '../utils/constants.js';
+import { chatStorage, characterStorage, groupStorage, settingsStorage } from '../utils/storage.js';
+import { api, describeModel, isTruncated } from '../utils/api.js';
+import { contextBuilder } from '../utils/context.js';
+import { markdown } from '../utils/markdown.js';
+import { fileManager } from '../utils/files.js';
+import { createTermPattern } from '../utils/search.js';
+import { transcripts, EXPORT_FORMATS } from '../utils/transcripts.js';
+import { MESSAGE_TYPES, ERROR_TYPES, MAIN_SESSION, MAIN_BRANCH, TURN_ORDERS } from '../utils/constants.js';
+
+// Windowed rendering: only a slice of the history is mounted. Scrolling
+// near either edge mounts another page and unmounts pages beyond the
+// window size on the far side.
+const RENDER_PAGE_SIZE = 40;
+const RENDER_WINDOW_SIZE = 120;
+const RENDER_EDGE = 400;  // px from the top or bottom that mounts a page
+const STICK_DISTANCE = 40; // px from the bottom that still follows new text
+
+// Position of a whole-word, case-insensitive mention of a name, or -1
+function findMention(text, name) {
+  const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const match = new RegExp(`(?<![\\p{L}\\p{N}_])${escaped}(?![\\p{L}\\p{N}_])`, 'iu').exec(text);
+  return match ? match.index : -1;
+}
+
+// Group members sometimes echo the "Name:" prefix their lines are sent with
+function stripSpeakerPrefix(text, name) {
+  const trimmed = text.trimStart();
+  return trimmed.startsWith(`${name}:`) ? trimmed.slice(name.length + 1).trimStart() : text;
+}
 
 class ChatComponent {
   constructor() {
@@ -11,18 +37,43 @@ class ChatComponent {
     this.chatMessages = document.getElementById('chatMessages');
     this.chatInput = document.getElementById('chatInput');
     this.sendButton = document.getElementById('sendButton');
+    this.continueButton = document.getElementById('continueButton');
+    this.impersonateButton = document.getElementById('impersonateButton');
     this.toggleChatBtn = document.getElementById('toggleChat');
     this.clearChatBtn = document.getElementById('clearChat');
     this.collapsedIndicator = document.getElementById('collapsedChatIndicator');
     this.expandChatBtn = document.getElementById('expandChat');
     this.messageCount = document.getElementById('messageCount');
     this.activeCharacterSpan = document.getElementById('activeCharacter');
+    this.modelSwitcher = document.getElementById('modelSwitcher');
+    this.contextUsage = document.getElementById('contextUsage');
+    this.branchChatBtn = document.getElementById('branchChat');
+    this.exportChatBtn = document.getElementById('exportChat');
+    this.exportMenu = document.getElementById('exportMenu');
+    this.chatSessions = document.getElementById('chatSessions');
+    this.sessionSwitcher = document.getElementById('sessionSwitcher');
+    this.groupBar = document.getElementById('groupBar');
     
     this.isCollapsed = false;
     this.currentCharacter = null;
+    this.groupMembers = []; // Characters of an open group chat, in turn order
     this.messageHistory = [];
+    this.archivedMessages = []; // Moved out of the chat by the history limit
+    this.archiveShown = false;
     this.isTyping = false;
     this.currentStream = null;
+    this.currentRequestId = null;
+    this.generationController = null; // Aborts the reply in progress
+    this.streamRenderFrame = null;
+    this.pendingStreamRender = null;
+    this.chatModel = null; // Per-conversation model override
+    this.modelListSettings = null; // Settings the model switcher was last built from
+    this.activeSession = MAIN_SESSION;
+    this.activeBranch = MAIN_BRANCH;
+    this.historyLoad = null; // Pending load after a character switch
+    this.apiMessages = new WeakMap(); // Stored message -> its API message
+    this.stickToBottom = true; // Follow new messages and streamed text
+    this.scrollFrame = null;
     
     this.init();
   }
@@ -35,8 +86,29 @@ class ChatComponent {
   }
 
   bindEvents() {
-    // Send button
-    this.sendButton.addEventListener('click', () => this.sendMessage());
+    // Send button; a Stop button while a reply is generating
+    this.sendButtonIcon = this.sendButton.innerHTML;
+    this.sendButton.addEventListener('click', () => {
+      if (this.isTyping) {
+        this.cancelCurrentRequest();
+      } else {
+        this.sendMessage();
+      }
+    });
+
+    // Generation modes
+    this.continueButton?.addEventListener('click', () => this.continueLastMessage());
+    this.impersonateButton?.addEventListener('click', () => this.impersonate());
+
+    // Escape stops the reply, unless a dialog outside the chat has focus
+    document.addEventListener('keydown', (e) => {
+      if (e.key !== 'Escape' || !this.isTyping) return;
+
+      const focused = document.activeElement;
+      if (!focused || focused === document.body || this.chatWindow.contains(focused)) {
+        this.cancelCurrentRequest();
+      }
+    });
     
     // Enter key to send (Shift+Enter for new line)
     this.chatInput.addEventListener('keydown', (e) => {
@@ -46,6 +118,17 @@ class ChatComponent {
       }
     });
 
+    // Left/Right in an empty input flip through the latest reply's swipes
+    this.chatInput.addEventListener('keydown', (e) => {
+      if ((e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') || this.chatInput.value) return;
+
+      const last = this.getLastAssistantMessage();
+      if (last) {
+        e.preventDefault();
+        this.swipeMessage(last, e.key === 'ArrowLeft' ? -1 : 1);
+      }
+    });
+
     // Toggle chat
     this.toggleChatBtn.addEventListener('click', () => this.toggleChat());
     this.expandChatBtn.addEventListener('click', () => this.expandChat());
@@ -53,11 +136,90 @@ class ChatComponent {
     // Clear chat
     this.clearChatBtn.addEventListener('click', () => this.clearChat());
 
-    // Auto-scroll to bottom on new messages
-    this.chatMessages.addEventListener('DOMNodeInserted', () => {
-      this.scrollToBottom();
+    // Chat sessions
+    this.sessionSwitcher?.addEventListener('change', (e) => this.switchSession(e.target.value));
+    document.getElementById('newSession')?.addEventListener('click', () => this.newSession());
+    document.getElementById('renameSession')?.addEventListener('click', () => this.renameSession());
+    document.getElementById('duplicateSession')?.addEventListener('click', () => this.duplicateSession());
+    document.getElementById('deleteSession')?.addEventListener('click', () => this.deleteSession());
+
+    // Branch navigator
+    this.branchChatBtn?.addEventListener('click', () => this.openBranchNavigator());
+
+    // Export menu
+    this.populateExportMenu();
+    this.exportChatBtn?.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.exportMenu?.classList.toggle('hidden');
+    });
+    document.addEventListener('click', (e) => {
+      if (this.exportMenu && !this.exportMenu.contains(e.target)) {
+        this.exportMenu.classList.add('hidden');
+      }
+    });
+
+    // Per-conversation model switcher
+    this.modelSwitcher?.addEventListener('change', (e) => {
+      this.setChatModel(e.target.value || null);
+    });
+
+    // Refresh the model list only when the provider, its connection or
+    // the default model changes; every refresh asks the provider for models
+    if (typeof window !== 'undefined' && window.appEvents) {
+      window.appEvents.addEventListener('settings-changed', (e) => {
+        const modelListSettings = this.getModelListSettings(e.detail);
+        if (modelListSettings === this.modelListSettings) return;
+
+        this.modelListSettings = modelListSettings;
+        this.populateModelSwitcher();
+      });
+      window.appEvents.addEventListener('models-changed', () => {
+        this.populateModelSwitcher();
+      });
+      window.appEvents.addEventListener('open-chat-message', (e) => {
+        this.openMessage(e.detail);
+      });
+      window.appEvents.addEventListener('branch-selected', (e) => {
+        if (this.currentCharacter && e.detail?.chatName === this.getSessionChatName()) {
+          this.loadChatHistory();
+        }
+      });
+    }
+
+    // Saving past the history limit moves the oldest messages to the archive
+    chatStorage.subscribe((change) => {
+      if (change.type === 'archive' && this.currentCharacter && change.chatName === this.getChatName()) {
+        this.moveToArchive(change.messages);
+      }
     });
 
+    // Follow new messages and growing replies while the reader is at the
+    // bottom: mounted messages are watched for size changes, the list for
+    // added ones
+    this.resizeObserver = new ResizeObserver(() => this.followBottom());
+    this.resizeObserver.observe(this.chatMessages);
+    this.mutationObserver = new MutationObserver((mutations) => {
+      mutations.forEach(mutation => {
+        mutation.addedNodes.forEach(node => {
+          if (node.nodeType === Node.ELEMENT_NODE) this.resizeObserver.observe(node);
+        });
+        mutation.removedNodes.forEach(node => {
+          if (node.nodeType === Node.ELEMENT_NODE) this.resizeObserver.unobserve(node);
+        });
+      });
+      this.followBottom();
+    });
+    this.mutationObserver.observe(this.chatMessages, { childList: true });
+
+    // Mount more history near the edges, at most once per frame
+    this.chatMessages.addEventListener('scroll', () => {
+      if (this.scrollFrame) return;
+      this.scrollFrame = requestAnimationFrame(() => {
+        this.scrollFrame = null;
+        this.handleScroll();
+      });
+    }, { passive: true });
+
     // Handle window resize
     window.addEventListener('resize', () => {
       if (!this.isCollapsed) {
@@ -77,92 +239,1132 @@ class ChatComponent {
     this.chatInput.style.height = Math.min(this.chatInput.scrollHeight, 120) + 'px';
   }
 
-  async loadActiveCharacter() {
-    try {
-      this.currentCharacter = await characterStorage.getActiveCharacter();
-      this.updateCharacterDisplay();
-    } catch (error) {
-      console.error('Failed to load active character:', error);
-    }
+  async loadActiveCharacter() {
+    try {
+      this.currentCharacter = await characterStorage.getActiveCharacter();
+      this.updateCharacterDisplay();
+    } catch (error) {
+      console.error('Failed to load active character:', error);
+    }
+  }
+
+  // Storage names of the open session and of its open branch
+  getSessionChatName() {
+    return chatStorage.getSessionChatName(this.currentCharacter?.name || 'default', this.activeSession.id);
+  }
+
+  getChatName() {
+    return chatStorage.getBranchChatName(this.getSessionChatName(), this.activeBranch.id);
+  }
+
+  updateCharacterDisplay() {
+    if (this.currentCharacter) {
+      this.activeCharacterSpan.textContent = this.activeBranch.id === MAIN_BRANCH.id
+        ? this.currentCharacter.name
+        : `${this.currentCharacter.name} · ${this.activeBranch.name}`;
+    } else {
+      this.activeCharacterSpan.textContent = 'No character selected';
+    }
+  }
+
+  async loadChatHistory() {
+    if (!this.currentCharacter) return;
+
+    try {
+      const registry = await chatStorage.getSessions(this.currentCharacter.name);
+      this.activeSession = registry.sessions.find(session => session.id === registry.activeSession) || registry.sessions[0];
+      this.populateSessionSwitcher(registry);
+
+      const tree = await chatStorage.getBranches(this.getSessionChatName());
+      this.activeBranch = tree.branches.find(branch => branch.id === tree.activeBranch) || MAIN_BRANCH;
+      this.updateCharacterDisplay();
+      await this.loadGroupMembers();
+
+      this.messageHistory = await chatStorage.getChatHistory(this.getChatName());
+      this.archivedMessages = await chatStorage.getArchivedMessages(this.getChatName());
+      this.archiveShown = false;
+      if (this.messageHistory.length === 0 && this.archivedMessages.length === 0) {
+        await this.postGreeting();
+      }
+      const chatSettings = await chatStorage.getChatSettings(this.getChatName());
+      this.chatModel = chatSettings.model || null;
+      this.populateModelSwitcher();
+      this.displayMessages();
+    } catch (error) {
+      console.error('Failed to load chat history:', error);
+      this.addSystemMessage('Failed to load chat history');
+    }
+  }
+
+  // Show the latest page of the history; older pages mount on scroll
+  displayMessages() {
+    this.chatMessages.innerHTML = '';
+    this.updateArchiveNotice();
+    
+    if (this.messageHistory.length === 0) {
+      this.addSystemMessage(`Start a conversation with ${this.currentCharacter?.name || 'the AI'}`);
+      return;
+    }
+
+    const end = this.getTimeline().length;
+    this.chatMessages.appendChild(this.renderMessages(Math.max(0, end - RENDER_PAGE_SIZE), end));
+
+    this.markLastAssistantMessage();
+    this.updateMessageCount();
+    this.stickToBottom = true;
+    this.scrollToBottom();
+    this.fillViewport();
+  }
+
+  // A message after an unmounted part of the history stays unmounted
+  // until the reader scrolls down to it
+  displayMessage(message, animate = true) {
+    const index = message.id ? this.messageHistory.indexOf(message) : -1;
+    if (index > 0 && !this.getMessageElement(this.messageHistory[index - 1])) return;
+
+    this.chatMessages.appendChild(this.createMessageElement(message, animate));
+    this.markLastAssistantMessage();
+  }
+
+  // Messages the window pages through: the chat, preceded by its archive
+  // while the reader has it open
+  getTimeline() {
+    return this.archiveShown ? [...this.archivedMessages, ...this.messageHistory] : this.messageHistory;
+  }
+
+  renderMessages(start, end) {
+    const fragment = document.createDocumentFragment();
+    const archivedCount = this.archiveShown ? this.archivedMessages.length : 0;
+    this.getTimeline().slice(start, end).forEach((message, offset) => {
+      fragment.appendChild(this.createMessageElement(message, false, { archived: start + offset < archivedCount }));
+    });
+    return fragment;
+  }
+
+  // Timeline indexes of the first and last mounted message, plus their elements
+  getMountedRange() {
+    const elements = this.chatMessages.querySelectorAll('.message[data-message-id]');
+    if (elements.length === 0) return null;
+
+    const timeline = this.getTimeline();
+    const indexOf = (element) => timeline.findIndex(m => m.id === element.dataset.messageId);
+    return {
+      start: indexOf(elements[0]),
+      end: indexOf(elements[elements.length - 1]) + 1,
+      elements
+    };
+  }
+
+  handleScroll() {
+    const { scrollTop, scrollHeight, clientHeight } = this.chatMessages;
+    const fromBottom = scrollHeight - scrollTop - clientHeight;
+    const range = this.getMountedRange();
+    const tailMounted = !range || range.end >= this.getTimeline().length;
+
+    this.stickToBottom = tailMounted && fromBottom <= STICK_DISTANCE;
+
+    if (scrollTop < RENDER_EDGE) {
+      this.mountEarlier(range);
+    } else if (fromBottom < RENDER_EDGE && !tailMounted) {
+      this.mountLater(range);
+    }
+  }
+
+  // A page too short to scroll never reaches the top edge; mount earlier
+  // pages until it can scroll. Skipped while the chat is collapsed.
+  fillViewport() {
+    const list = this.chatMessages;
+    let range = this.getMountedRange();
+
+    while (range && range.start > 0 && list.clientHeight > 0 &&
+      list.scrollHeight <= list.clientHeight + RENDER_EDGE &&
+      range.elements.length < RENDER_WINDOW_SIZE) {
+      this.mountEarlier(range);
+      range = this.getMountedRange();
+    }
+  }
+
+  // Change the list without moving the element the reader is looking at
+  preserveScroll(anchor, change) {
+    const top = anchor.getBoundingClientRect().top;
+    change();
+    this.chatMessages.scrollTop += anchor.getBoundingClientRect().top - top;
+  }
+
+  mountEarlier(range) {
+    if (!range || range.start <= 0) return;
+
+    const start = Math.max(0, range.start - RENDER_PAGE_SIZE);
+    const first = range.elements[0];
+
+    this.preserveScroll(first, () => {
+      first.before(this.renderMessages(start, range.start));
+
+      // The reply being written stays at the bottom; trim once it is done
+      const excess = range.end - start - RENDER_WINDOW_SIZE;
+      if (excess > 0 && !this.isTyping) {
+        [...range.elements].slice(-excess).forEach(element => element.remove());
+      }
+    });
+  }
+
+  mountLater(range) {
+    const end = Math.min(this.getTimeline().length, range.end + RENDER_PAGE_SIZE);
+    const last = range.elements[range.elements.length - 1];
+
+    this.preserveScroll(last, () => {
+      last.after(this.renderMessages(range.end, end));
+
+      const excess = end - range.start - RENDER_WINDOW_SIZE;
+      if (excess > 0) {
+        [...range.elements].slice(0, excess).forEach(element => element.remove());
+      }
+    });
+    this.markLastAssistantMessage();
+  }
+
+  // Mount the page around a message that is out of the window
+  mountAround(messageId) {
+    const timeline = this.getTimeline();
+    const index = timeline.findIndex(m => m.id === messageId);
+    if (index === -1) return null;
+
+    const element = this.getMessageElement({ id: messageId });
+    if (element) return element;
+
+    const start = Math.max(0, index - Math.floor(RENDER_PAGE_SIZE / 2));
+    this.chatMessages.innerHTML = '';
+    this.updateArchiveNotice();
+    this.chatMessages.appendChild(this.renderMessages(start, Math.min(timeline.length, start + RENDER_PAGE_SIZE)));
+    this.markLastAssistantMessage();
+    this.stickToBottom = false;
+    return this.getMessageElement({ id: messageId });
+  }
+
+  // Bring the newest messages back into view and follow them again
+  showLatest() {
+    const last = this.messageHistory[this.messageHistory.length - 1];
+    if (last && !this.getMessageElement(last)) {
+      this.displayMessages();
+    }
+
+    this.stickToBottom = true;
+    this.scrollToBottom();
+  }
+
+  followBottom() {
+    if (this.stickToBottom) {
+      this.scrollToBottom();
+    }
+  }
+
+  // Archive: a notice above the oldest message says how many messages
+  // the history limit moved out, and opens them read-only above the chat
+  updateArchiveNotice() {
+    let notice = this.chatMessages.querySelector('.archive-notice');
+    const count = this.archivedMessages.length;
+
+    if (count === 0) {
+      notice?.remove();
+      return;
+    }
+
+    if (!notice) {
+      notice = document.createElement('div');
+      notice.className = 'archive-notice';
+      this.chatMessages.prepend(notice);
+    }
+
+    const plural = count === 1 ? '' : 's';
+    const text = document.createElement('span');
+    text.textContent = this.archiveShown
+      ? `📦 Showing ${count} archived message${plural} (read-only)`
+      : `📦 ${count} older message${plural} archived to stay under the history limit`;
+
+    const toggle = document.createElement('button');
+    toggle.className = 'archive-toggle';
+    toggle.textContent = this.archiveShown ? 'Hide' : 'Show';
+    toggle.addEventListener('click', () => {
+      if (this.archiveShown) {
+        this.hideArchive();
+      } else {
+        this.showArchive();
+      }
+    });
+
+    notice.replaceChildren(text, toggle);
+  }
+
+  showArchive() {
+    if (this.archiveShown || this.archivedMessages.length === 0) return;
+
+    this.archiveShown = true;
+    this.updateArchiveNotice();
+    this.handleScroll();
+  }
+
+  hideArchive() {
+    if (!this.archiveShown) return;
+
+    this.archiveShown = false;
+    const anchor = this.chatMessages.querySelector('.message[data-message-id]:not(.archived)');
+    if (!anchor) {
+      this.displayMessages();
+      return;
+    }
+
+    this.preserveScroll(anchor, () => {
+      this.chatMessages.querySelectorAll('.message.archived').forEach(element => element.remove());
+    });
+    this.updateArchiveNotice();
+  }
+
+  // Mounted copies of archived messages turn read-only while the archive
+  // is open and are unmounted otherwise
+  moveToArchive(messages) {
+    const known = new Set(this.archivedMessages.map(message => message.id));
+    const moved = messages.filter(message => !known.has(message.id));
+    if (moved.length === 0) return;
+
+    const ids = new Set(moved.map(message => message.id));
+    this.archivedMessages.push(...moved);
+    this.messageHistory = this.messageHistory.filter(message => !ids.has(message.id));
+
+    const elements = [...this.chatMessages.querySelectorAll('.message[data-message-id]')];
+    const archived = elements.filter(element => ids.has(element.dataset.messageId));
+    const anchor = elements.find(element => !ids.has(element.dataset.messageId));
+
+    if (archived.length > 0 && !anchor) {
+      this.displayMessages();
+      return;
+    }
+
+    if (archived.length > 0) {
+      const byId = new Map(moved.map(message => [message.id, message]));
+      this.preserveScroll(anchor, () => {
+        archived.forEach(element => {
+          if (this.archiveShown) {
+            element.replaceWith(this.createMessageElement(byId.get(element.dataset.messageId), false, { archived: true }));
+          } else {
+            element.remove();
+          }
+        });
+      });
+    }
+
+    this.updateArchiveNotice();
+    this.markLastAssistantMessage();
+    this.updateMessageCount();
+  }
+
+  // Re-render one message in place, e.g. after switching swipes
+  refreshMessageElement(message) {
+    const current = this.getMessageElement(message);
+    if (!current) return;
+
+    current.replaceWith(this.createMessageElement(message, false));
+    this.markLastAssistantMessage();
+  }
+
+  createMessageElement(message, animate = true, { archived = false } = {}) {
+    const messageElement = document.createElement('div');
+    messageElement.className = `message ${message.type} ${animate ? 'message-appear' : ''}`;
+    messageElement.classList.toggle('archived', archived);
+    messageElement.classList.toggle('greeting', Boolean(message.greeting));
+    
+    if (message.id) {
+      messageElement.dataset.messageId = message.id;
+    }
+    
+    // Add the speaker's avatar to character messages; group chats also
+    // name the speaker
+    if (message.type === MESSAGE_TYPES.assistant && this.currentCharacter) {
+      const name = this.getSpeakerName(message);
+      const avatar = this.createAvatar(this.getSpeakerCharacter(message), name);
+
+      if (this.isGroupChat()) {
+        const speaker = document.createElement('div');
+        speaker.className = 'message-speaker';
+        const label = document.createElement('span');
+        label.className = 'message-speaker-name';
+        label.textContent = name;
+        speaker.append(avatar, label);
+        messageElement.appendChild(speaker);
+      } else {
+        messageElement.appendChild(avatar);
+      }
+    }
+
+    const content = document.createElement('div');
+    content.className = 'message-content';
+    
+    if (message.type === MESSAGE_TYPES.assistant && message.streaming) {
+      content.classList.add('streaming');
+    }
+
+    // Render sanitized markdown
+    content.innerHTML = this.formatMessageText(message.content, { partial: Boolean(message.streaming) });
+    messageElement.appendChild(content);
+
+    // Note which provider answered, so failovers are visible, and
+    // whether the reply was cut short
+    if (message.type === MESSAGE_TYPES.assistant && (message.provider || message.interrupted || message.truncated)) {
+      messageElement.appendChild(this.createMessageMeta(message));
+    }
+
+    // Actions and code block toolbars wait until streaming is done;
+    // archived messages only get the code block toolbars
+    if (!message.streaming) {
+      if (!archived) {
+        this.addSwipeControls(messageElement, message);
+        this.addMessageActions(messageElement, message);
+      }
+      this.enhanceCodeBlocks(messageElement);
+    }
+
+    // Add timestamp for system messages
+    if (message.type === MESSAGE_TYPES.system) {
+      const timestamp = document.createElement('div');
+      timestamp.className = 'message-timestamp';
+      timestamp.textContent = new Date(message.timestamp).toLocaleTimeString();
+      content.appendChild(timestamp);
+    }
+
+    return messageElement;
+  }
+
+  // The character's avatar image, or the initial of its name
+  createAvatar(character, name) {
+    const avatar = document.createElement('div');
+    avatar.className = 'message-avatar';
+    const initial = name?.charAt(0).toUpperCase() || 'AI';
+
+    if (character?.avatar) {
+      const image = document.createElement('img');
+      image.src = character.avatar;
+      image.alt = name;
+      image.addEventListener('error', () => {
+        avatar.textContent = initial;
+      });
+      avatar.appendChild(image);
+    } else {
+      avatar.textContent = initial;
+    }
+
+    return avatar;
+  }
+
+  // Edit and Delete on saved chat messages; Regenerate only shows on the
+  // last assistant reply (see markLastAssistantMessage)
+  addMessageActions(messageElement, message) {
+    if (!message.id || (message.type !== MESSAGE_TYPES.user && message.type !== MESSAGE_TYPES.assistant)) return;
+
+    const actions = this.getMessageActions(messageElement);
+
+    actions.appendChild(this.createMessageAction('✏️', 'Edit message', 'edit-action', () => {
+      this.startEditing(messageElement, message);
+    }));
+    actions.appendChild(this.createMessageAction('🗑️', 'Delete message', 'delete-action', () => {
+      this.deleteMessage(message);
+    }));
+    actions.appendChild(this.createMessageAction('🌿', 'Branch from here', 'branch-action', () => {
+      this.branchFromMessage(message);
+    }));
+
+    if (message.type === MESSAGE_TYPES.assistant && !message.greeting) {
+      actions.appendChild(this.createMessageAction('🔄', 'Regenerate reply', 'regenerate-action', () => {
+        this.regenerateMessage(message);
+      }));
+    }
+  }
+
+  createMessageAction(icon, title, className, onClick) {
+    const button = document.createElement('button');
+    button.className = `message-action ${className}`;
+    button.textContent = icon;
+    button.title = title;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  getMessageElement(message) {
+    return this.chatMessages.querySelector(`[data-message-id="${CSS.escape(message.id)}"]`);
+  }
+
+  getLastAssistantMessage() {
+    for (let i = this.messageHistory.length - 1; i >= 0; i--) {
+      if (this.messageHistory[i].type === MESSAGE_TYPES.assistant) {
+        return this.messageHistory[i];
+      }
+    }
+    return null;
+  }
+
+  markLastAssistantMessage() {
+    this.chatMessages.querySelectorAll('.message.last-assistant').forEach(element => {
+      element.classList.remove('last-assistant');
+    });
+
+    const last = this.getLastAssistantMessage();
+    if (last) {
+      this.getMessageElement(last)?.classList.add('last-assistant');
+    }
+
+    // Greetings can be swiped only until the conversation moves past them
+    this.chatMessages.querySelectorAll('.message.greeting').forEach(element => {
+      element.classList.toggle('answered', !this.isOpenGreeting({ id: element.dataset.messageId }));
+    });
+  }
+
+  isOpenGreeting(message) {
+    return this.messageHistory[this.messageHistory.length - 1]?.id === message.id;
+  }
+
+  // Fork the conversation after this message into a new branch and open it
+  async branchFromMessage(message) {
+    if (this.isTyping || !this.currentCharacter) return;
+
+    try {
+      const branch = await chatStorage.createBranch(this.getSessionChatName(), this.activeBranch.id, message.id);
+      await this.loadChatHistory();
+      this.addSystemMessage(`Started ${branch.name} — the branch button in the header shows all branches`);
+    } catch (error) {
+      console.error('Failed to create branch:', error);
+      this.addSystemMessage('Failed to create branch');
+    }
+  }
+
+  openBranchNavigator() {
+    if (!this.currentCharacter) {
+      this.addSystemMessage('Select a character to see its branches');
+      return;
+    }
+    if (this.isTyping) {
+      this.addSystemMessage('Wait for the reply to finish before switching branches');
+      return;
+    }
+
+    this.emitAppEvent('open-branch-navigator', { chatName: this.getSessionChatName() });
+  }
+
+  populateExportMenu() {
+    if (!this.exportMenu) return;
+
+    Object.entries(EXPORT_FORMATS).forEach(([format, { label, extension }]) => {
+      const option = document.createElement('button');
+      option.className = 'export-option';
+      option.textContent = `${label} (.${extension})`;
+      option.addEventListener('click', () => {
+        this.exportMenu.classList.add('hidden');
+        this.exportChat(format);
+      });
+      this.exportMenu.appendChild(option);
+    });
+  }
+
+  // Saves the open branch, archived messages included, titled after its
+  // session and branch
+  exportChat(format) {
+    const messages = [...this.archivedMessages, ...this.messageHistory];
+    if (!this.currentCharacter || messages.length === 0) {
+      this.addSystemMessage('There are no messages to export yet');
+      return;
+    }
+
+    try {
+      const title = [
+        this.activeSession.title,
+        this.activeBranch.id !== MAIN_BRANCH.id ? this.activeBranch.name : null
+      ].filter(Boolean).join(' · ');
+
+      const { content, filename, mimeType } = transcripts.export(format, {
+        character: this.currentCharacter,
+        title,
+        messages
+      });
+      fileManager.saveTextFile(filename, content, mimeType);
+    } catch (error) {
+      console.error('Failed to export chat:', error);
+      this.addSystemMessage('Failed to export chat');
+    }
+  }
+
+  // Sessions: separate conversations with the same character, listed
+  // most recently updated first
+  populateSessionSwitcher(registry) {
+    if (!this.sessionSwitcher) return;
+
+    this.chatSessions?.classList.remove('hidden');
+    this.sessionSwitcher.innerHTML = '';
+
+    const lastActivity = (session) => session.updatedAt || session.createdAt || 0;
+    [...registry.sessions]
+      .sort((a, b) => lastActivity(b) - lastActivity(a))
+      .forEach(session => {
+        const option = document.createElement('option');
+        option.value = session.id;
+        option.textContent = session.updatedAt
+          ? `${session.title} · ${new Date(session.updatedAt).toLocaleDateString()}`
+          : session.title;
+        option.title = [
+          session.createdAt && `Created ${new Date(session.createdAt).toLocaleString()}`,
+          session.updatedAt && `Updated ${new Date(session.updatedAt).toLocaleString()}`
+        ].filter(Boolean).join('\n');
+        this.sessionSwitcher.appendChild(option);
+      });
+
+    this.sessionSwitcher.value = this.activeSession.id;
+  }
+
+  async refreshSessionSwitcher() {
+    if (!this.currentCharacter) return;
+    this.populateSessionSwitcher(await chatStorage.getSessions(this.currentCharacter.name));
+  }
+
+  // Record activity on the open session after a new message is saved
+  async touchSession() {
+    if (!this.currentCharacter) return;
+
+    await chatStorage.touchSession(this.currentCharacter.name, this.activeSession.id);
+    await this.refreshSessionSwitcher();
+  }
+
+  // Session changes finish by reloading the chat from the registry
+  async openSessionChange(change) {
+    if (!this.currentCharacter) return;
+    if (this.isTyping) {
+      this.addSystemMessage('Wait for the reply to finish before switching chats');
+      this.sessionSwitcher.value = this.activeSession.id;
+      return;
+    }
+
+    try {
+      await change(this.currentCharacter.name);
+      await this.loadChatHistory();
+
+      this.emitAppEvent('session-selected', {
+        characterName: this.currentCharacter.name,
+        sessionId: this.activeSession.id
+      });
+    } catch (error) {
+      console.error('Failed to change chat session:', error);
+      this.addSystemMessage('Failed to change chat session');
+    }
+  }
+
+  async switchSession(sessionId) {
+    await this.openSessionChange(name => chatStorage.setActiveSession(name, sessionId));
+  }
+
+  // A new chat opens with the character's greeting
+  async newSession() {
+    await this.openSessionChange(async (name) => {
+      const greeting = this.createGreetingMessage();
+      await chatStorage.createSession(name, { messages: greeting ? [greeting] : [] });
+    });
+  }
+
+  async renameSession() {
+    if (!this.currentCharacter) return;
+
+    const title = prompt('Chat title', this.activeSession.title)?.trim();
+    if (!title || title === this.activeSession.title) return;
+
+    await chatStorage.renameSession(this.currentCharacter.name, this.activeSession.id, title);
+    this.activeSession = { ...this.activeSession, title };
+    await this.refreshSessionSwitcher();
+  }
+
+  async duplicateSession() {
+    await this.openSessionChange(name => chatStorage.duplicateSession(name, this.activeSession.id));
+  }
+
+  async deleteSession() {
+    if (!this.currentCharacter) return;
+
+    const registry = await chatStorage.getSessions(this.currentCharacter.name);
+    if (registry.sessions.length <= 1) {
+      this.addSystemMessage('This is the only chat with this character; use Clear Chat to start over');
+      return;
+    }
+    if (!confirm(`Delete the chat "${this.activeSession.title}" and all of its branches?`)) return;
+
+    await this.openSessionChange(name => chatStorage.deleteSession(name, this.activeSession.id));
+  }
+
+  // Group chats: the open "character" is a group whose members take turns.
+  // The group is reloaded so member and turn order edits apply.
+  isGroupChat() {
+    return Boolean(this.currentCharacter?.isGroup);
+  }
+
+  async loadGroupMembers() {
+    this.groupMembers = [];
+
+    if (this.isGroupChat()) {
+      this.currentCharacter = await groupStorage.getGroup(this.currentCharacter.name) || this.currentCharacter;
+      for (const name of this.currentCharacter.members || []) {
+        const member = await characterStorage.getCharacter(name);
+        if (member) this.groupMembers.push(member);
+      }
+    }
+
+    this.renderGroupBar();
+  }
+
+  getMember(name) {
+    return name ? this.groupMembers.find(member => member.name === name) || null : null;
+  }
+
+  // Names of the characters the user is talking with
+  getCastNames() {
+    return this.isGroupChat() && this.groupMembers.length > 0
+      ? this.groupMembers.map(member => member.name)
+      : [this.currentCharacter?.name || 'AI'];
+  }
+
+  getSpeakerName(message) {
+    return (this.isGroupChat() && message.speaker) || this.currentCharacter?.name || 'AI';
+  }
+
+  getSpeakerCharacter(message) {
+    return this.isGroupChat() ? this.getMember(message.speaker) : this.currentCharacter;
+  }
+
+  // Round robin goes down the member list after the last member who spoke;
+  // natural lets a member named in the latest message answer first
+  chooseNextSpeaker() {
+    const members = this.groupMembers;
+    const turnOrder = this.currentCharacter?.turnOrder || TURN_ORDERS.roundRobin.id;
+    if (members.length === 0 || turnOrder === TURN_ORDERS.manual.id) return null;
+
+    const last = this.messageHistory[this.messageHistory.length - 1];
+    if (turnOrder === TURN_ORDERS.natural.id && last) {
+      const mentioned = this.findMentionedMember(last);
+      if (mentioned) return mentioned;
+    }
+
+    const lastSpeaker = this.messageHistory.findLast(message =>
+      message.type === MESSAGE_TYPES.assistant && this.getMember(message.speaker)
+    )?.speaker;
+    const index = members.findIndex(member => member.name === lastSpeaker);
+    return members[(index + 1) % members.length];
+  }
+
+  // The member named earliest in the message, other than its own speaker
+  findMentionedMember(message) {
+    let mentioned = null;
+    let position = Infinity;
+
+    this.groupMembers.forEach(member => {
+      if (member.name === message.speaker) return;
+
+      const index = findMention(message.content || '', member.name);
+      if (index !== -1 && index < position) {
+        mentioned = member;
+        position = index;
+      }
+    });
+
+    return mentioned;
+  }
+
+  // Turn order and member chips; a chip has that member reply now
+  renderGroupBar() {
+    if (!this.groupBar) return;
+
+    this.groupBar.innerHTML = '';
+    this.groupBar.classList.toggle('hidden', !this.isGroupChat());
+    if (!this.isGroupChat()) return;
+
+    const turnOrder = Object.values(TURN_ORDERS).find(order => order.id === this.currentCharacter.turnOrder)
+      || TURN_ORDERS.roundRobin;
+    const label = document.createElement('span');
+    label.className = 'group-turn-order';
+    label.textContent = turnOrder.name;
+    label.title = turnOrder.description;
+    this.groupBar.appendChild(label);
+
+    this.groupMembers.forEach(member => {
+      const chip = document.createElement('button');
+      chip.className = 'group-member';
+      chip.title = `Have ${member.name} reply now`;
+      chip.disabled = this.isTyping;
+      chip.append(this.createAvatar(member, member.name), document.createTextNode(member.name));
+      chip.addEventListener('click', () => this.generateResponse({ speaker: member }));
+      this.groupBar.appendChild(chip);
+    });
+  }
+
+  // The character's first message, with its alternate greetings as swipes
+  createGreetingMessage() {
+    const data = this.currentCharacter?.data;
+    const greetings = [data?.first_mes, ...(data?.alternate_greetings || [])]
+      .map(greeting => String(greeting || '').trim())
+      .filter(Boolean)
+      .map(greeting => this.fillPromptVariables(greeting));
+    if (greetings.length === 0) return null;
+
+    const timestamp = Date.now();
+    return {
+      id: chatStorage.createMessageId(),
+      type: MESSAGE_TYPES.assistant,
+      content: greetings[0],
+      timestamp,
+      greeting: true,
+      swipes: greetings,
+      swipeId: 0,
+      swipeInfo: greetings.map(() => ({ timestamp }))
+    };
+  }
+
+  // An empty chat, new or cleared, opens with the greeting
+  async postGreeting() {
+    const greeting = this.createGreetingMessage();
+    if (!greeting) return;
+
+    this.messageHistory.push(greeting);
+    await chatStorage.saveMessage(this.getChatName(), greeting);
+  }
+
+  // {{char}} and {{user}} as listed under Prompt Variables in settings
+  fillPromptVariables(text) {
+    return text
+      .replace(/\{\{char\}\}/gi, this.currentCharacter?.name || 'AI')
+      .replace(/\{\{user\}\}/gi, 'User');
+  }
+
+  // Swipes: every assistant message keeps its alternate replies in swipes,
+  // with swipeId selecting the one that is shown and sent as context.
+  // Messages saved before swipes existed have a single reply.
+  getSwipes(message) {
+    if (!message.swipes?.length) {
+      message.swipes = [message.content];
+      message.swipeId = 0;
+      message.swipeInfo = [this.getSwipeInfo(message)];
+    }
+    return message.swipes;
+  }
+
+  getSwipeInfo(source) {
+    return {
+      provider: source.provider,
+      model: source.model,
+      fallback: source.fallback,
+      interrupted: source.interrupted,
+      truncated: source.truncated,
+      timestamp: source.timestamp
+    };
+  }
+
+  applySwipe(message, swipeId) {
+    const info = message.swipeInfo?.[swipeId] || {};
+
+    Object.assign(message, {
+      swipeId,
+      content: message.swipes[swipeId],
+      provider: info.provider,
+      model: info.model,
+      fallback: info.fallback,
+      interrupted: info.interrupted,
+      truncated: info.truncated
+    });
+  }
+
+  // Greetings step through the character's greetings and never generate
+  addSwipeControls(messageElement, message) {
+    if (!message.id || message.type !== MESSAGE_TYPES.assistant) return;
+
+    const count = message.swipes?.length || 1;
+    const index = Math.min(message.swipeId || 0, count - 1);
+    if (message.greeting && count === 1) return;
+
+    const controls = document.createElement('div');
+    controls.className = 'swipe-controls';
+    controls.classList.toggle('single', count === 1);
+
+    const previous = this.createMessageAction('◀', message.greeting ? 'Previous greeting' : 'Previous reply', 'swipe-previous', () => {
+      this.swipeMessage(message, -1);
+    });
+    previous.disabled = index === 0;
+
+    const counter = document.createElement('span');
+    counter.className = 'swipe-counter';
+    counter.textContent = `${index + 1}/${count}`;
+
+    const atEnd = index === count - 1;
+    const nextTitle = message.greeting
+      ? 'Next greeting'
+      : atEnd ? 'Generate another reply' : 'Next reply';
+    const next = this.createMessageAction('▶', nextTitle, 'swipe-next', () => {
+      this.swipeMessage(message, 1);
+    });
+    next.classList.toggle('at-end', atEnd);
+    next.disabled = atEnd && Boolean(message.greeting);
+
+    controls.append(previous, counter, next);
+    messageElement.appendChild(controls);
+  }
+
+  // Step through the alternates; going past the last one on the latest
+  // reply generates a new alternate
+  async swipeMessage(message, direction) {
+    if (this.isTyping) return;
+    if (message.greeting && !this.isOpenGreeting(message)) return;
+
+    const swipes = this.getSwipes(message);
+    const target = message.swipeId + direction;
+    if (target < 0) return;
+
+    if (target >= swipes.length) {
+      await this.regenerateMessage(message);
+      return;
+    }
+
+    this.applySwipe(message, target);
+    this.refreshMessageElement(message);
+
+    try {
+      await chatStorage.setMessageSwipes(this.getChatName(), message.id, message);
+    } catch (error) {
+      console.error('Failed to save selected reply:', error);
+    }
+  }
+
+  // Swap the rendered text for a textarea; Ctrl+Enter saves, Escape cancels
+  startEditing(messageElement, message) {
+    if (messageElement.classList.contains('editing')) return;
+
+    const content = messageElement.querySelector('.message-content');
+    messageElement.classList.add('editing');
+    content.classList.add('hidden');
+
+    const editor = document.createElement('div');
+    editor.className = 'message-editor';
+    editor.innerHTML = `
+      <textarea class="message-editor-input"></textarea>
+      <div class="message-editor-actions">
+        <button class="code-action editor-cancel">Cancel</button>
+        <button class="code-action editor-save">Save</button>
+      </div>
+    `;
+
+    const input = editor.querySelector('textarea');
+    input.value = message.content;
+    content.after(editor);
+    input.style.height = `${Math.min(input.scrollHeight + 4, 320)}px`;
+    input.focus();
+
+    const close = () => {
+      editor.remove();
+      content.classList.remove('hidden');
+      messageElement.classList.remove('editing');
+    };
+
+    const save = async () => {
+      const text = input.value.trim();
+      if (!text) return;
+      
+      if (text !== message.content) {
+        await this.editMessage(message, text);
+      }
+      close();
+    };
+
+    editor.querySelector('.editor-cancel').addEventListener('click', close);
+    editor.querySelector('.editor-save').addEventListener('click', save);
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        e.stopPropagation();
+        close();
+      } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        save();
+      }
+    });
+  }
+
+  async editMessage(message, content) {
+    try {
+      message.content = content;
+      message.edited = Date.now();
+      const changes = { content, edited: message.edited };
+      
+      // Editing a reply only changes the swipe that is shown
+      if (message.swipes?.length) {
+        message.swipes[message.swipeId] = content;
+        changes.swipes = message.swipes;
+      }
+      
+      await chatStorage.updateMessage(this.getChatName(), message.id, changes);
+
+      const messageElement = this.getMessageElement(message);
+      if (messageElement) {
+        messageElement.querySelector('.message-content').innerHTML = this.formatMessageText(content);
+        this.enhanceCodeBlocks(messageElement);
+      }
+    } catch (error) {
+      console.error('Failed to edit message:', error);
+      this.addSystemMessage('Failed to save the edited message');
+    }
+  }
+
+  async deleteMessage(message) {
+    if (!confirm('Delete this message?')) return;
+    await this.removeMessage(message);
+  }
+
+  async removeMessage(message) {
+    try {
+      this.messageHistory = this.messageHistory.filter(m => m.id !== message.id);
+      await chatStorage.deleteMessage(this.getChatName(), message.id);
+      
+      this.getMessageElement(message)?.remove();
+      this.markLastAssistantMessage();
+      this.updateMessageCount();
+      
+      if (this.messageHistory.length === 0) {
+        this.displayMessages();
+      }
+    } catch (error) {
+      console.error('Failed to delete message:', error);
+      this.addSystemMessage('Failed to delete message');
+    }
+  }
+
+  // Generate another reply for the latest turn; earlier ones stay
+  // reachable as swipes
+  async regenerateMessage(message) {
+    if (this.isTyping || message.greeting || this.getLastAssistantMessage()?.id !== message.id) return;
+
+    await this.generateResponse({ swipeTarget: message });
+  }
+
+  // Language label, Copy and Save as… on every code block, plus a
+  // copy-all action on assistant messages that contain code
+  enhanceCodeBlocks(messageElement) {
+    const content = messageElement.querySelector('.message-content');
+    const codeElements = [];
+
+    content.querySelectorAll('pre.md-code-block').forEach(pre => {
+      const code = pre.querySelector('code');
+      const language = [...code.classList].find(name => name.startsWith('language-'))?.slice('language-'.length) || '';
+      codeElements.push(code);
+
+      if (pre.parentElement.classList.contains('code-block')) return;
+
+      const wrapper = document.createElement('div');
+      wrapper.className = 'code-block';
+
+      const header = document.createElement('div');
+      header.className = 'code-block-header';
+
+      const label = document.createElement('span');
+      label.className = 'code-block-language';
+      label.textContent = language || 'text';
+
+      const copyButton = this.createCodeButton('Copy', () => this.copyText(code.textContent, copyButton));
+      const saveButton = this.createCodeButton('Save as…', () => {
+        fileManager.saveTextFile(fileManager.getCodeFilename(language), code.textContent);
+      });
+
+      header.append(label, copyButton, saveButton);
+      pre.replaceWith(wrapper);
+      wrapper.append(header, pre);
+    });
+
+    if (codeElements.length === 0 || !messageElement.classList.contains(MESSAGE_TYPES.assistant)) return;
+
+    const actions = this.getMessageActions(messageElement);
+    actions.querySelector('.copy-all-code')?.remove();
+
+    const label = codeElements.length > 1 ? `Copy all code (${codeElements.length})` : 'Copy code';
+    const copyAllButton = this.createCodeButton(label, () => {
+      const allCode = codeElements.map(code => code.textContent).join('\n\n');
+      this.copyText(allCode, copyAllButton);
+    });
+    copyAllButton.classList.add('copy-all-code');
+    actions.appendChild(copyAllButton);
   }
 
-  updateCharacterDisplay() {
-    if (this.currentCharacter) {
-      this.activeCharacterSpan.textContent = this.currentCharacter.name;
-    } else {
-      this.activeCharacterSpan.textContent = 'No character selected';
+  getMessageActions(messageElement) {
+    let actions = messageElement.querySelector('.message-actions');
+    
+    if (!actions) {
+      actions = document.createElement('div');
+      actions.className = 'message-actions';
+      messageElement.appendChild(actions);
     }
+    
+    return actions;
   }
 
-  async loadChatHistory() {
-    if (!this.currentCharacter) return;
+  createCodeButton(label, onClick) {
+    const button = document.createElement('button');
+    button.className = 'code-action';
+    button.textContent = label;
+    button.dataset.label = label;
+    button.addEventListener('click', onClick);
+    return button;
+  }
 
+  async copyText(text, button) {
     try {
-      this.messageHistory = await chatStorage.getChatHistory(this.currentCharacter.name);
-      this.displayMessages();
+      await navigator.clipboard.writeText(text);
+      this.flashButtonLabel(button, 'Copied!');
     } catch (error) {
-      console.error('Failed to load chat history:', error);
-      this.addSystemMessage('Failed to load chat history');
+      console.error('Failed to copy to clipboard:', error);
+      this.flashButtonLabel(button, 'Copy failed');
     }
   }
 
-  displayMessages() {
-    this.chatMessages.innerHTML = '';
-    
-    if (this.messageHistory.length === 0) {
-      this.addSystemMessage(`Start a conversation with ${this.currentCharacter?.name || 'the AI'}`);
-      return;
-    }
-
-    this.messageHistory.forEach(message => {
-      this.displayMessage(message, false);
-    });
-
-    this.updateMessageCount();
-    this.scrollToBottom();
+  flashButtonLabel(button, text) {
+    button.textContent = text;
+    clearTimeout(button.labelTimer);
+    button.labelTimer = setTimeout(() => {
+      button.textContent = button.dataset.label;
+    }, 1500);
   }
 
-  displayMessage(message, animate = true) {
-    const messageElement = document.createElement('div');
-    messageElement.className = `message ${message.type} ${animate ? 'message-appear' : ''}`;
-    
-    // Add avatar for character messages
-    if (message.type === MESSAGE_TYPES.assistant && this.currentCharacter) {
-      const avatar = document.createElement('div');
-      avatar.className = 'message-avatar';
-      avatar.textContent = this.currentCharacter.name?.charAt(0).toUpperCase() || 'AI';
-      messageElement.appendChild(avatar);
-    }
+  createMessageMeta(message) {
+    const meta = document.createElement('div');
+    meta.className = 'message-meta';
+    meta.textContent = this.describeMessageSource(message);
+    return meta;
+  }
 
-    const content = document.createElement('div');
-    content.className = 'message-content';
-    
-    if (message.type === MESSAGE_TYPES.assistant && message.streaming) {
-      content.classList.add('streaming');
-    }
+  describeMessageSource(message) {
+    const source = [message.provider, message.model].filter(Boolean).join(' · ');
+    return [
+      source && `via ${source}${message.fallback ? ' (fallback)' : ''}`,
+      message.interrupted && 'interrupted',
+      message.truncated && 'cut off at the token limit'
+    ].filter(Boolean).join(' — ');
+  }
 
-    // Handle markdown-like formatting
-    content.innerHTML = this.formatMessageText(message.content);
-    messageElement.appendChild(content);
+  formatMessageText(text, options = {}) {
+    return markdown.render(text, options);
+  }
 
-    // Add timestamp for system messages
-    if (message.type === MESSAGE_TYPES.system) {
-      const timestamp = document.createElement('div');
-      timestamp.className = 'message-timestamp';
-      timestamp.textContent = new Date(message.timestamp).toLocaleTimeString();
-      content.appendChild(timestamp);
-    }
+  // Render at most once per frame while streaming; chunks often arrive
+  // faster than the screen refreshes
+  renderStreamingContent(element, text) {
+    this.pendingStreamRender = { element, text };
+    if (this.streamRenderFrame) return;
 
-    this.chatMessages.appendChild(messageElement);
+    this.streamRenderFrame = requestAnimationFrame(() => {
+      this.streamRenderFrame = null;
+      const { element: target, text: pending } = this.pendingStreamRender;
+      target.innerHTML = this.formatMessageText(pending, { partial: true });
+    });
   }
 
-  formatMessageText(text) {
-    // Basic formatting - can be enhanced with a proper markdown parser
-    return text
-      .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
-      .replace(/\*(.*?)\*/g, '<em>$1</em>')
-      .replace(/`(.*?)`/g, '<code>$1</code>')
-      .replace(/\n/g, '<br>');
+  cancelStreamRender() {
+    if (this.streamRenderFrame) {
+      cancelAnimationFrame(this.streamRenderFrame);
+      this.streamRenderFrame = null;
+    }
   }
 
   async sendMessage() {
@@ -171,149 +1373,586 @@ class ChatComponent {
 
     // Create user message
     const userMessage = {
+      id: chatStorage.createMessageId(),
       type: MESSAGE_TYPES.user,
       content,
       timestamp: Date.now()
     };
 
-    // Add to display and history
-    this.displayMessage(userMessage);
+    // Add to history and display
+    this.showLatest();
     this.messageHistory.push(userMessage);
-    await chatStorage.saveMessage(this.currentCharacter?.name || 'default', userMessage);
+    this.displayMessage(userMessage);
+    await chatStorage.saveMessage(this.getChatName(), userMessage);
+    await this.touchSession();
 
     // Clear input
     this.chatInput.value = '';
     this.autoResizeTextarea();
 
-    // Start typing indicator
+    await this.generateResponse();
+  }
+
+  // Request a reply to the current history; also used by the retry action.
+  // With a swipeTarget the reply becomes another swipe on that message;
+  // with a continueTarget it is appended to that message.
+  async generateResponse(options = {}) {
+    const { swipeTarget = null, continueTarget = null } = options;
+    if (this.isTyping) return;
+
+    // In a group chat a new swipe or a continuation keeps its speaker;
+    // otherwise the turn order picks one, or waits for a manual pick
+    const speaker = this.isGroupChat()
+      ? options.speaker || this.getMember((swipeTarget || continueTarget)?.speaker) || this.chooseNextSpeaker()
+      : null;
+    if (this.isGroupChat() && !speaker) {
+      if (this.groupMembers.length === 0) {
+        this.addSystemMessage('Add characters to this group to chat with them');
+      }
+      return;
+    }
+    
+    this.clearErrorMessages();
+
+    // Start typing indicator below the latest message
+    this.showLatest();
     this.showTypingIndicator();
     this.isTyping = true;
+    this.generationController = new AbortController();
+    this.updateSendButton();
 
     try {
       // Prepare messages for API
-      const messages = this.prepareMessagesForAPI(content);
+      const settings = await this.getChatSettings();
+      const messages = this.prepareMessagesForAPI(settings, { before: swipeTarget || continueTarget, speaker });
+      const targets = { swipeTarget, continueTarget, speaker };
 
       // Stream response if enabled
-      const settings = await this.getChatSettings();
       if (settings.streamResponse) {
-        await this.streamResponse(messages);
+        await this.streamResponse(messages, targets);
       } else {
-        await this.getSingleResponse(messages);
+        await this.getSingleResponse(messages, targets);
       }
     } catch (error) {
       console.error('Failed to get AI response:', error);
       this.hideTypingIndicator();
-      this.addSystemMessage('Failed to get response. Please try again.');
+      
+      // Cancelling is the user's choice, not a failure
+      if (error.type !== ERROR_TYPES.cancelled) {
+        this.displayError(error, () => this.generateResponse({ ...options, speaker }));
+      }
+    } finally {
+      this.isTyping = false;
+      this.generationController = null;
+      this.updateSendButton();
+    }
+  }
+
+  // Extend the last reply in place, e.g. after it hit the token limit
+  async continueLastMessage() {
+    if (this.isTyping) return;
+
+    const last = this.messageHistory[this.messageHistory.length - 1];
+    if (last?.type !== MESSAGE_TYPES.assistant) {
+      this.addSystemMessage('Continue extends the last reply; there is none to continue');
+      return;
+    }
+
+    await this.generateResponse({ continueTarget: last });
+  }
+
+  // Draft the user's next message into the input from a raw completion of
+  // the conversation, or a chat turn where the provider has no raw
+  // completion. Text already in the input is kept as its opening.
+  async impersonate() {
+    if (this.isTyping) return;
+    if (!this.currentCharacter) {
+      this.addSystemMessage('Select a character to chat with first');
+      return;
+    }
+
+    const start = this.chatInput.value.trim();
+    const placeholder = this.chatInput.placeholder;
+
+    this.clearErrorMessages();
+    this.isTyping = true;
+    this.generationController = new AbortController();
+    this.chatInput.placeholder = 'Writing your next message...';
+    this.updateSendButton();
+
+    try {
+      const settings = await this.getChatSettings();
+      const prompt = this.buildImpersonationPrompt(settings, start);
+
+      this.currentRequestId = api.createRequestId();
+      // OpenAI accepts at most four stop sequences
+      const response = await api.generateText(prompt, this.getGenerationOptions({
+        raw: true,
+        prefill: start || null,
+        stop: ['\nUser:', ...this.getCastNames().map(name => `\n${name}:`)].slice(0, 4)
+      }));
+
+      const draft = start
+        ? `${start}${response.content || ''}`.trimEnd()
+        : (response.content || '').replace(/^\s*User:/i, '').trim();
+      if (draft) {
+        this.chatInput.value = draft;
+        this.autoResizeTextarea();
+        this.chatInput.focus();
+      }
+    } catch (error) {
+      console.error('Failed to write the next message:', error);
+
+      if (error.type !== ERROR_TYPES.cancelled) {
+        this.displayError(error, () => this.impersonate());
+      }
     } finally {
+      this.currentRequestId = null;
       this.isTyping = false;
+      this.generationController = null;
+      this.chatInput.placeholder = placeholder;
+      this.updateSendButton();
+    }
+  }
+
+  // Plain-text transcript for impersonation: the character's system
+  // prompt and description, the history a reply would see, then an open
+  // "User:" line for the model to complete
+  buildImpersonationPrompt(settings, start = '') {
+    const characterName = this.getCastNames().join(', ');
+    const lines = this.prepareMessagesForAPI(settings).map(message => {
+      if (message.role === 'system') return message.content;
+      if (message.role === 'user') return `User: ${message.content}`;
+
+      // Group members' lines already carry their names
+      return this.isGroupChat() ? message.content : `${characterName}: ${message.content}`;
+    });
+
+    return [
+      `Write User's next message in this chat with ${characterName}, in User's own voice. Never write for ${characterName}.`,
+      ...lines,
+      `User:${start ? ` ${start}` : ''}`
+    ].join('\n\n');
+  }
+
+  updateSendButton() {
+    if (this.continueButton) this.continueButton.disabled = this.isTyping;
+    if (this.impersonateButton) this.impersonateButton.disabled = this.isTyping;
+    this.groupBar?.querySelectorAll('.group-member').forEach(button => {
+      button.disabled = this.isTyping;
+    });
+
+    this.sendButton.classList.toggle('stop', this.isTyping);
+    this.sendButton.title = this.isTyping ? 'Stop generating (Esc)' : 'Send message';
+    this.sendButton.innerHTML = this.isTyping
+      ? `<svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor" stroke="none">
+          <rect x="6" y="6" width="12" height="12" rx="2"></rect>
+        </svg>`
+      : this.sendButtonIcon;
+  }
+
+  // Inline error bubble with what went wrong, how to fix it and a retry
+  displayError(error, retry = () => this.generateResponse()) {
+    const { title, details, hint, actions } = this.describeError(error);
+
+    const messageElement = document.createElement('div');
+    messageElement.className = 'message error-message message-appear';
+
+    const content = document.createElement('div');
+    content.className = 'message-content';
+
+    const titleElement = document.createElement('div');
+    titleElement.className = 'error-title';
+    titleElement.textContent = title;
+    content.appendChild(titleElement);
+
+    if (details) {
+      const detailsElement = document.createElement('div');
+      detailsElement.className = 'error-details';
+      detailsElement.textContent = details;
+      content.appendChild(detailsElement);
+    }
+
+    if (hint) {
+      const hintElement = document.createElement('div');
+      hintElement.className = 'error-hint';
+      hintElement.textContent = hint;
+      content.appendChild(hintElement);
+    }
+
+    const actionBar = document.createElement('div');
+    actionBar.className = 'error-actions';
+
+    [{ label: 'Retry', run: retry }, ...actions].forEach(action => {
+      const button = document.createElement('button');
+      button.className = 'error-action';
+      button.textContent = action.label;
+      button.addEventListener('click', () => action.run());
+      actionBar.appendChild(button);
+    });
+
+    content.appendChild(actionBar);
+    messageElement.appendChild(content);
+    this.chatMessages.appendChild(messageElement);
+    this.scrollToBottom();
+  }
+
+  clearErrorMessages() {
+    this.chatMessages.querySelectorAll('.error-message').forEach(element => element.remove());
+  }
+
+  // Turn an APIError into a title, the provider's explanation, a fix hint
+  // and the actions that apply the fix
+  describeError(error) {
+    const provider = error.provider || api.activeProvider;
+    const model = error.model;
+    const openServerSettings = {
+      label: 'Server Settings',
+      run: () => this.emitAppEvent('open-settings', { category: 'server', title: 'Server Settings' })
+    };
+
+    let details = error.details || '';
+    if (error.attempts?.length > 1) {
+      const tried = [...new Set(error.attempts.map(attempt => attempt.provider))];
+      details += `${details ? ' — ' : ''}tried ${error.attempts.length} times via ${tried.join(', ')}`;
+    }
+
+    const description = {
+      title: error.message || 'Failed to get response',
+      details,
+      hint: '',
+      actions: []
+    };
+
+    switch (error.type) {
+      case ERROR_TYPES.network:
+        description.hint = provider === 'ollama'
+          ? 'Make sure Ollama is running (ollama serve) and the Ollama URL is correct.'
+          : `Could not reach ${provider}. Check your connection and the server URL.`;
+        description.actions.push(openServerSettings);
+        break;
+        
+      case ERROR_TYPES.timeout:
+        description.hint = 'The server took too long to answer. Large models can be slow to load; try again or raise the request timeout.';
+        description.actions.push(openServerSettings);
+        break;
+        
+      case ERROR_TYPES.auth:
+        description.hint = `Check the ${provider} API key in Server Settings.`;
+        description.actions.push({ ...openServerSettings, label: 'Check API Key' });
+        break;
+        
+      case ERROR_TYPES.modelNotFound:
+        if (provider === 'ollama' && model) {
+          description.hint = `${model} is not installed. Pull it or pick another model.`;
+          description.actions.push({
+            label: `Pull ${model}`,
+            run: () => this.emitAppEvent('open-model-manager', { pull: model })
+          });
+        } else {
+          description.hint = `${model || 'This model'} is not available from ${provider}. Pick another model from the model menu.`;
+        }
+        break;
+        
+      case ERROR_TYPES.contextLength:
+        description.hint = 'Clear older messages or lower Max Tokens in AI settings, then retry.';
+        break;
+        
+      case ERROR_TYPES.rateLimited:
+        description.hint = error.retryAfter
+          ? `The provider asked to wait ${Math.ceil(error.retryAfter / 1000)}s before retrying.`
+          : 'Too many requests; wait a moment before retrying.';
+        break;
+        
+      default:
+        // Untyped errors (e.g. a stream cut off mid-reply) only have a message
+        if (!error.type) {
+          description.title = 'Failed to get response';
+          description.details = error.message || '';
+        }
+    }
+
+    return description;
+  }
+
+  emitAppEvent(eventName, detail) {
+    if (typeof window !== 'undefined' && window.appEvents) {
+      window.appEvents.dispatchEvent(new CustomEvent(eventName, { detail }));
     }
   }
 
-  prepareMessagesForAPI(userContent) {
-    const messages = [];
+  // Character context plus as much recent history as the context budget allows.
+  // With `before`, history stops short of that message so a new swipe
+  // answers the same turn as the reply it sits next to. In a group chat
+  // the speaker's card stands in for the character's.
+  prepareMessagesForAPI(settings = {}, { before = null, speaker = null } = {}) {
+    const system = [];
+    const character = speaker || this.currentCharacter;
 
     // Add system prompt if character has one
-    if (this.currentCharacter?.data?.system_prompt) {
-      messages.push({
+    if (character?.data?.system_prompt) {
+      system.push({
         role: 'system',
-        content: this.currentCharacter.data.system_prompt
+        content: character.data.system_prompt
       });
     }
 
     // Add character context
-    if (this.currentCharacter?.data?.description) {
-      messages.push({
+    if (character?.data?.description) {
+      system.push({
         role: 'system',
-        content: `Character: ${this.currentCharacter.data.description}`
+        content: `Character: ${character.data.description}`
       });
     }
 
-    // Add recent conversation history (last 10 messages)
-    const recentMessages = this.messageHistory.slice(-10);
-    recentMessages.forEach(msg => {
-      if (msg.type === MESSAGE_TYPES.user || msg.type === MESSAGE_TYPES.assistant) {
-        messages.push({
-          role: msg.type === MESSAGE_TYPES.user ? 'user' : 'assistant',
-          content: msg.content
-        });
-      }
+    if (this.isGroupChat()) {
+      system.push({
+        role: 'system',
+        content: speaker
+          ? `This is a group chat between User and ${this.getCastNames().join(', ')}. Write only ${speaker.name}'s next reply, without a name prefix.`
+          : `This is a group chat between User and ${this.getCastNames().join(', ')}.`
+      });
+    }
+
+    const end = before ? this.messageHistory.indexOf(before) : -1;
+    const history = (end === -1 ? this.messageHistory : this.messageHistory.slice(0, end)).filter(msg =>
+      msg.type === MESSAGE_TYPES.user || msg.type === MESSAGE_TYPES.assistant
+    );
+
+    const { messages, stats } = contextBuilder.build({
+      system,
+      history: history.map(msg => this.toAPIMessage(msg, speaker)),
+      contextSize: settings.contextSize,
+      maxTokens: settings.maxTokens
     });
 
+    this.updateContextUsage(stats);
     return messages;
   }
 
-  async streamResponse(messages) {
-    let fullResponse = '';
-    let assistantMessage = null;
+  toAPIMessage(message, speaker = null) {
+    const { role, content } = this.describeAPIMessage(message, speaker);
+
+    // Reuse the object while it is unchanged, so the context builder's
+    // token estimate for it stays cached across requests
+    const cached = this.apiMessages.get(message);
+    if (cached && cached.role === role && cached.content === content) {
+      return cached;
+    }
+
+    const apiMessage = { role, content };
+    this.apiMessages.set(message, apiMessage);
+    return apiMessage;
+  }
+
+  // In a group chat every member's lines carry their name. Only the
+  // speaker's own lines are the assistant's; the others read as part of
+  // the conversation it answers.
+  describeAPIMessage(message, speaker) {
+    if (message.type === MESSAGE_TYPES.user) {
+      return { role: 'user', content: message.content };
+    }
+    if (!this.isGroupChat()) {
+      return { role: 'assistant', content: message.content };
+    }
+
+    const name = this.getSpeakerName(message);
+    if (speaker && name === speaker.name) {
+      return { role: 'assistant', content: message.content };
+    }
+    return { role: speaker ? 'user' : 'assistant', content: `${name}: ${message.content}` };
+  }
+
+  updateContextUsage(stats) {
+    if (!this.contextUsage) return;
+
+    this.contextUsage.textContent =
+      `${stats.includedMessages}/${stats.totalMessages} msgs · ${stats.tokens.toLocaleString()}/${stats.budget.toLocaleString()} tokens`;
+    this.contextUsage.title = [
+      `${stats.includedMessages} of ${stats.totalMessages} messages sent with the last request`,
+      `~${stats.tokens.toLocaleString()} prompt tokens of a ${stats.budget.toLocaleString()} token budget`,
+      `${stats.reserve.toLocaleString()} tokens reserved for the response`
+    ].join('\n');
+    this.contextUsage.classList.toggle('over-budget', stats.overBudget);
+    this.contextUsage.classList.remove('hidden');
+  }
+
+  async streamResponse(messages, targets = {}) {
+    const { swipeTarget = null, continueTarget = null, speaker = null } = targets;
+    const target = swipeTarget || continueTarget;
+    const prefix = continueTarget ? continueTarget.content : '';
+    const reply = { content: '', timestamp: Date.now() };
+    let placeholder = null;
+    let finished = false;
 
     try {
-      this.currentStream = api.streamMessage(messages);
+      this.currentRequestId = api.createRequestId();
+      this.currentStream = api.streamMessage(messages, this.getGenerationOptions({ prefill: prefix }));
 
-      // Create streaming message element
-      assistantMessage = {
+      // Stream into a placeholder; a new swipe or a continuation takes its
+      // message's place until it is done
+      placeholder = this.createMessageElement({
+        id: target?.id,
         type: MESSAGE_TYPES.assistant,
-        content: '',
-        streaming: true,
-        timestamp: Date.now()
-      };
-
-      this.displayMessage(assistantMessage);
-      const messageElement = this.chatMessages.lastElementChild;
-      const contentElement = messageElement.querySelector('.message-content');
+        content: prefix,
+        speaker: speaker?.name,
+        streaming: true
+      });
+      
+      const current = target && this.getMessageElement(target);
+      if (current) {
+        current.replaceWith(placeholder);
+      } else {
+        this.chatMessages.appendChild(placeholder);
+      }
+      const contentElement = placeholder.querySelector('.message-content');
 
       // Stream response
       for await (const chunk of this.currentStream) {
+        if (chunk.provider) {
+          reply.provider = chunk.provider;
+          reply.model = chunk.model || reply.model;
+          reply.fallback = chunk.fallback || undefined;
+        }
+        
+        if (chunk.finishReason) {
+          reply.truncated = isTruncated(chunk.finishReason) || undefined;
+        }
+        
         if (chunk.content) {
-          fullResponse += chunk.content;
-          contentElement.innerHTML = this.formatMessageText(fullResponse);
-          this.scrollToBottom();
+          reply.content += chunk.content;
+          this.renderStreamingContent(contentElement, prefix + reply.content);
         }
       }
-
-      // Finalize message
-      assistantMessage.content = fullResponse;
-      assistantMessage.streaming = false;
-      
-      // Update display
-      contentElement.classList.remove('streaming');
-      contentElement.innerHTML = this.formatMessageText(fullResponse);
+      finished = true;
 
     } catch (error) {
       console.error('Stream error:', error);
       throw error;
     } finally {
+      this.cancelStreamRender();
       this.currentStream = null;
+      this.currentRequestId = null;
       this.hideTypingIndicator();
       
-      if (assistantMessage && fullResponse) {
-        this.messageHistory.push(assistantMessage);
-        await chatStorage.saveMessage(this.currentCharacter?.name || 'default', assistantMessage);
+      // Keep whatever arrived before a failure or Stop, marked as
+      // interrupted; an empty placeholder is dropped, or hands its place
+      // back to the swiped or continued message
+      if (!finished || this.generationController?.signal.aborted) {
+        reply.interrupted = true;
+      }
+      // A failed save must not replace the stream's own error or the Stop
+      let message = target;
+      if (reply.content) {
+        try {
+          message = await this.commitReply(reply, targets);
+        } catch (error) {
+          console.error('Failed to save reply:', error);
+          this.addSystemMessage('Failed to save the reply');
+        }
+      }
+      if (placeholder && message) {
+        placeholder.replaceWith(this.createMessageElement(message, false));
+      } else {
+        placeholder?.remove();
       }
+      this.markLastAssistantMessage();
     }
   }
 
-  async getSingleResponse(messages) {
+  async getSingleResponse(messages, targets = {}) {
+    const { swipeTarget = null, continueTarget = null } = targets;
+
     try {
-      const response = await api.sendMessage(messages);
+      this.currentRequestId = api.createRequestId();
+      const response = await api.sendMessage(messages, this.getGenerationOptions({
+        prefill: continueTarget?.content
+      }));
       
-      const assistantMessage = {
-        type: MESSAGE_TYPES.assistant,
+      const message = await this.commitReply({
         content: response.content || '',
+        provider: response.provider,
+        model: response.model,
+        fallback: response.fallback || undefined,
+        truncated: isTruncated(response.finishReason) || undefined,
         timestamp: Date.now()
-      };
+      }, targets);
 
-      this.displayMessage(assistantMessage);
-      this.messageHistory.push(assistantMessage);
-      await chatStorage.saveMessage(this.currentCharacter?.name || 'default', assistantMessage);
+      if (swipeTarget || continueTarget) {
+        this.refreshMessageElement(message);
+      } else {
+        this.displayMessage(message);
+        this.markLastAssistantMessage();
+      }
 
     } catch (error) {
       console.error('Single response error:', error);
       throw error;
     } finally {
+      this.currentRequestId = null;
       this.hideTypingIndicator();
     }
   }
 
+  // Save a finished reply: as a new swipe on swipeTarget (which becomes the
+  // selected one), as more text on continueTarget's selected swipe, or as a
+  // new assistant message
+  async commitReply(reply, { swipeTarget = null, continueTarget = null, speaker = null } = {}) {
+    const info = this.getSwipeInfo(reply);
+    if (speaker && !continueTarget) {
+      reply.content = stripSpeakerPrefix(reply.content, speaker.name);
+    }
+
+    // The continued swipe keeps its time; its source and truncation now
+    // describe the latest generation
+    if (continueTarget) {
+      const swipes = this.getSwipes(continueTarget);
+      const swipeId = continueTarget.swipeId;
+      swipes[swipeId] = continueTarget.content + reply.content;
+      continueTarget.swipeInfo[swipeId] = {
+        ...info,
+        timestamp: continueTarget.swipeInfo[swipeId]?.timestamp ?? continueTarget.timestamp
+      };
+      this.applySwipe(continueTarget, swipeId);
+
+      await chatStorage.setMessageSwipes(this.getChatName(), continueTarget.id, continueTarget);
+      await this.touchSession();
+      return continueTarget;
+    }
+
+    if (swipeTarget) {
+      const swipes = this.getSwipes(swipeTarget);
+      swipes.push(reply.content);
+      swipeTarget.swipeInfo.push(info);
+      this.applySwipe(swipeTarget, swipes.length - 1);
+      
+      await chatStorage.setMessageSwipes(this.getChatName(), swipeTarget.id, swipeTarget);
+      await this.touchSession();
+      return swipeTarget;
+    }
+
+    const message = {
+      id: chatStorage.createMessageId(),
+      type: MESSAGE_TYPES.assistant,
+      content: reply.content,
+      speaker: speaker?.name,
+      provider: reply.provider,
+      model: reply.model,
+      fallback: reply.fallback,
+      interrupted: reply.interrupted,
+      truncated: reply.truncated,
+      timestamp: reply.timestamp,
+      swipes: [reply.content],
+      swipeId: 0,
+      swipeInfo: [info]
+    };
+
+    this.messageHistory.push(message);
+    await chatStorage.saveMessage(this.getChatName(), message);
+    await this.touchSession();
+    return message;
+  }
+
   showTypingIndicator() {
     const indicator = document.createElement('div');
     indicator.className = 'message assistant message-appear typing-message';
@@ -335,7 +1974,6 @@ class ChatComponent {
     indicator.appendChild(content);
 
     this.chatMessages.appendChild(indicator);
-    this.scrollToBottom();
   }
 
   hideTypingIndicator() {
@@ -394,14 +2032,18 @@ class ChatComponent {
     `;
 
     this.scrollToBottom();
+    this.fillViewport();
   }
 
   async clearChat() {
     if (!confirm('Are you sure you want to clear the chat history?')) return;
 
     try {
-      await chatStorage.clearChatHistory(this.currentCharacter?.name || 'default');
+      await chatStorage.clearChatHistory(this.getChatName());
       this.messageHistory = [];
+      this.archivedMessages = [];
+      this.archiveShown = false;
+      await this.postGreeting();
       this.displayMessages();
     } catch (error) {
       console.error('Failed to clear chat:', error);
@@ -430,34 +2072,195 @@ class ChatComponent {
     this.chatWindow.style.width = `${minWidth}px`;
   }
 
+  getModelListSettings(settings = {}) {
+    const connections = {
+      ollama: [settings.ollamaUrl],
+      openai: [settings.openaiBaseUrl, settings.openaiApiKey],
+      anthropic: [settings.anthropicApiKey],
+      google: [settings.googleApiKey]
+    };
+
+    return JSON.stringify([
+      settings.defaultProvider,
+      settings.defaultModel,
+      connections[settings.defaultProvider] || []
+    ]);
+  }
+
+  async populateModelSwitcher() {
+    if (!this.modelSwitcher) return;
+
+    const defaultModel = api.getRequestOptions().model;
+    const models = await api.getModels();
+
+    this.modelSwitcher.innerHTML = '';
+    
+    const defaultOption = document.createElement('option');
+    defaultOption.value = '';
+    defaultOption.textContent = defaultModel ? `Default (${defaultModel})` : 'Default model';
+    this.modelSwitcher.appendChild(defaultOption);
+
+    if (this.chatModel && !models.some(model => model.name === this.chatModel)) {
+      models.unshift({ name: this.chatModel });
+    }
+
+    models.forEach(model => {
+      const option = document.createElement('option');
+      option.value = model.name;
+      option.textContent = model.name;
+      option.title = describeModel(model);
+      this.modelSwitcher.appendChild(option);
+    });
+
+    this.modelSwitcher.value = this.chatModel || '';
+  }
+
+  async setChatModel(model) {
+    this.chatModel = model;
+    
+    if (this.currentCharacter) {
+      await chatStorage.saveChatSettings(this.getChatName(), { model });
+    }
+  }
+
+  getGenerationOptions(overrides = {}) {
+    // Settings supply the defaults; only conversation overrides go here.
+    // Chat replies run in the interactive lane ahead of background work.
+    const options = {
+      requestId: this.currentRequestId,
+      priority: 'interactive',
+      signal: this.generationController?.signal,
+      ...overrides
+    };
+    
+    if (this.chatModel) {
+      options.model = this.chatModel;
+    }
+    
+    return options;
+  }
+
   async getChatSettings() {
-    // Get chat settings - would be connected to settings system
+    // Provider, model and sampling options are applied by the API layer
+    const settings = await settingsStorage.getSettings();
     return {
-      streamResponse: true,
-      maxTokens: 2048,
-      temperature: 0.7
+      streamResponse: settings.streamResponse !== false,
+      model: settings.defaultModel,
+      maxTokens: settings.maxTokens,
+      contextSize: settings.contextSize,
+      temperature: settings.temperature
     };
   }
 
   setCharacter(character) {
     this.currentCharacter = character;
+    this.activeSession = MAIN_SESSION;
+    this.activeBranch = MAIN_BRANCH;
+    this.contextUsage?.classList.add('hidden');
     this.updateCharacterDisplay();
-    this.loadChatHistory();
+    this.historyLoad = this.loadChatHistory();
   }
 
-  cancelCurrentRequest() {
-    if (this.currentStream) {
-      api.cancelRequest();
-      this.currentStream = null;
-      this.isTyping = false;
-      this.hideTypingIndicator();
+  // Open a saved message in its session and branch, e.g. from search
+  async openMessage({ characterName, sessionId, branchId, messageId, terms = [] }) {
+    if (this.isTyping) {
+      this.addSystemMessage('Wait for the reply to finish before opening another chat');
+      return;
+    }
+
+    try {
+      const character = characterName === this.currentCharacter?.name
+        ? this.currentCharacter
+        : await characterStorage.getCharacter(characterName) || await groupStorage.getGroup(characterName);
+      if (!character) {
+        this.addSystemMessage(`${characterName} no longer exists`);
+        return;
+      }
+
+      await chatStorage.setActiveSession(characterName, sessionId);
+      await chatStorage.setActiveBranch(chatStorage.getSessionChatName(characterName, sessionId), branchId);
+
+      if (character === this.currentCharacter) {
+        await this.loadChatHistory();
+      } else {
+        // Everything else that follows the active character updates too
+        await characterStorage.setActiveCharacter(character);
+        this.emitAppEvent('character-selected', character);
+        await this.historyLoad;
+      }
+      this.emitAppEvent('session-selected', { characterName, sessionId: this.activeSession.id });
+
+      this.expandChat();
+      this.highlightMessage(messageId, terms);
+    } catch (error) {
+      console.error('Failed to open message:', error);
+      this.addSystemMessage('Failed to open that message');
+    }
+  }
+
+  highlightMessage(messageId, terms = []) {
+    if (this.archivedMessages.some(m => m.id === messageId)) {
+      this.showArchive();
     }
+
+    const element = this.mountAround(messageId);
+    if (!element) {
+      this.addSystemMessage('That message is no longer in this chat');
+      return;
+    }
+
+    const pattern = createTermPattern(terms);
+    if (pattern) {
+      this.markTerms(element.querySelector('.message-content'), pattern);
+    }
+
+    element.scrollIntoView({ block: 'center' });
+    element.classList.add('search-hit');
+    setTimeout(() => element.classList.remove('search-hit'), 2000);
+  }
+
+  // Wrap matches in the rendered text with <mark>, one text node at a time
+  markTerms(root, pattern) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+    while (walker.nextNode()) {
+      textNodes.push(walker.currentNode);
+    }
+
+    textNodes.forEach(node => {
+      const text = node.nodeValue;
+      const matches = [...text.matchAll(pattern)];
+      if (matches.length === 0) return;
+
+      const fragment = document.createDocumentFragment();
+      let position = 0;
+      matches.forEach(match => {
+        fragment.appendChild(document.createTextNode(text.slice(position, match.index)));
+        const mark = document.createElement('mark');
+        mark.className = 'search-highlight';
+        mark.textContent = match[0];
+        fragment.appendChild(mark);
+        position = match.index + match[0].length;
+      });
+      fragment.appendChild(document.createTextNode(text.slice(position)));
+      node.replaceWith(fragment);
+    });
+  }
+
+  // Stop the reply in progress. Aborting also covers a request that is
+  // still queued or not yet sent; generateResponse then winds down as usual,
+  // keeping any streamed text and resetting the typing state.
+  cancelCurrentRequest() {
+    this.generationController?.abort();
   }
 
   destroy() {
     // Cancel any ongoing requests
     this.cancelCurrentRequest();
     
+    this.resizeObserver?.disconnect();
+    this.mutationObserver?.disconnect();
+    
     // Remove event listeners
     this.sendButton.removeEventListener('click', this.sendMessage);
     this.toggleChatBtn.removeEventListener('click', this.toggleChat);
@@ -0,0 +1,579 @@
+// LLMAXX Model Manager Component
+// Handles Ollama model pulling, deletion, inspection and loaded-model status
+
+import { api, describeModel } from '../utils/api.js';
+
+class ModelManagerComponent {
+  constructor() {
+    this.managerButton = document.getElementById('modelManagerButton');
+
+    this.overlay = null;
+    this.models = [];
+    this.isPulling = false;
+    this.pullProvider = null;
+    this.pullingModel = null;
+    this.pullProgress = null; // Latest progress, shown again on reopen
+
+    this.init();
+  }
+
+  init() {
+    this.bindEvents();
+  }
+
+  bindEvents() {
+    // Left controls button
+    this.managerButton?.addEventListener('click', () => this.open());
+
+    // Keyboard shortcuts
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.overlay) {
+        this.close();
+      }
+    });
+
+    // Requests from other components, e.g. the chat's "Pull model" fix
+    if (typeof window !== 'undefined' && window.appEvents) {
+      window.appEvents.addEventListener('open-model-manager', (e) => {
+        this.open();
+        if (e.detail?.pull) {
+          if (!this.isPulling) {
+            document.getElementById('pullModelName').value = e.detail.pull;
+          }
+          this.pullModel(e.detail.pull);
+        }
+      });
+    }
+  }
+
+  getProvider() {
+    return api.getProvider('ollama');
+  }
+
+  open() {
+    if (this.overlay) return;
+
+    this.addStyles();
+
+    this.overlay = document.createElement('div');
+    this.overlay.className = 'model-manager-overlay';
+
+    const modal = document.createElement('div');
+    modal.className = 'model-manager panel';
+    modal.innerHTML = `
+      <div class="modal-header flex-between">
+        <h3 class="heading">Ollama Models</h3>
+        <button class="icon-button" id="closeModelManager">
+          <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <path d="M18 6L6 18M6 6l12 12"/>
+          </svg>
+        </button>
+      </div>
+
+      <div class="model-manager-body">
+        <div class="model-section">
+          <h4 class="section-title">Pull Model</h4>
+          <div class="pull-row">
+            <input type="text" id="pullModelName" class="form-input" placeholder="e.g. llama3.2, mistral:7b-instruct" />
+            <button class="button" id="pullModelBtn">Pull</button>
+            <button class="button danger hidden" id="cancelPullBtn">Cancel</button>
+          </div>
+          <div class="pull-progress hidden" id="pullProgress">
+            <div class="pull-progress-bar">
+              <div class="pull-progress-fill" id="pullProgressFill" style="width: 0%"></div>
+            </div>
+            <span class="pull-progress-text" id="pullProgressText">Starting...</span>
+          </div>
+        </div>
+
+        <div class="model-section">
+          <h4 class="section-title">Loaded in Memory</h4>
+          <div class="model-list" id="runningModelList">
+            <p class="text-muted">Checking...</p>
+          </div>
+        </div>
+
+        <div class="model-section">
+          <h4 class="section-title">Installed Models</h4>
+          <div class="model-list" id="installedModelList">
+            <p class="text-muted">Loading models...</p>
+          </div>
+        </div>
+
+        <div class="model-section hidden" id="modelDetailsSection">
+          <h4 class="section-title" id="modelDetailsTitle">Model Details</h4>
+          <div class="model-details" id="modelDetails"></div>
+        </div>
+      </div>
+    `;
+
+    this.overlay.appendChild(modal);
+    document.body.appendChild(this.overlay);
+
+    this.bindManagerEvents(modal);
+    this.refresh();
+
+    // A pull keeps running while the dialog is closed
+    this.setPullState(this.isPulling);
+    if (this.isPulling) {
+      document.getElementById('pullModelName').value = this.pullingModel;
+      this.updatePullProgress(this.pullProgress);
+    }
+
+    // Add entrance animation
+    this.overlay.classList.add('entrance-fade-in');
+    modal.classList.add('entrance-scale-in');
+  }
+
+  close() {
+    if (!this.overlay) return;
+
+    const overlay = this.overlay;
+    this.overlay = null;
+
+    overlay.classList.add('exit-fade-out');
+    setTimeout(() => {
+      if (overlay.parentNode) {
+        overlay.parentNode.removeChild(overlay);
+      }
+    }, 200);
+  }
+
+  bindManagerEvents(modal) {
+    modal.querySelector('#closeModelManager').addEventListener('click', () => this.close());
+    this.overlay.addEventListener('click', (e) => {
+      if (e.target === this.overlay) this.close();
+    });
+
+    const nameInput = modal.querySelector('#pullModelName');
+    modal.querySelector('#pullModelBtn').addEventListener('click', () => {
+      this.pullModel(nameInput.value.trim());
+    });
+    nameInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this.pullModel(nameInput.value.trim());
+      }
+    });
+    modal.querySelector('#cancelPullBtn').addEventListener('click', () => this.cancelPull());
+
+    // Installed model actions
+    modal.querySelector('#installedModelList').addEventListener('click', (e) => {
+      const row = e.target.closest('.model-row');
+      if (!row) return;
+
+      if (e.target.closest('.inspect-model')) {
+        this.showModelDetails(row.dataset.name);
+      } else if (e.target.closest('.delete-model')) {
+        this.deleteModel(row.dataset.name);
+      }
+    });
+  }
+
+  async refresh() {
+    await Promise.all([
+      this.loadInstalledModels(),
+      this.loadRunningModels()
+    ]);
+  }
+
+  async loadInstalledModels() {
+    const list = document.getElementById('installedModelList');
+    if (!list) return;
+
+    this.models = await this.getProvider().getModels();
+
+    if (this.models.length === 0) {
+      list.innerHTML = '<p class="text-muted">No models installed, or Ollama is not running.</p>';
+      return;
+    }
+
+    list.innerHTML = this.models.map(model => `
+      <div class="model-row" data-name="${this.escapeHtml(model.name)}">
+        <div class="model-info">
+          <span class="model-name">${this.escapeHtml(model.name)}</span>
+          <span class="model-meta">${this.escapeHtml(describeModel(model))}</span>
+        </div>
+        <div class="model-actions">
+          <button class="icon-button inspect-model" title="Show Details">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <circle cx="12" cy="12" r="10"></circle>
+              <path d="M12 16v-4M12 8h.01"></path>
+            </svg>
+          </button>
+          <button class="icon-button delete-model" title="Delete Model">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <path d="M3 6h18"></path>
+              <path d="M19 6v14a2 2 0 01-2 2H7a2 2 0 01-2-2V6m3 0V4a2 2 0 012-2h4a2 2 0 012 2v2"></path>
+            </svg>
+          </button>
+        </div>
+      </div>
+    `).join('');
+  }
+
+  async loadRunningModels() {
+    const list = document.getElementById('runningModelList');
+    if (!list) return;
+
+    const running = await this.getProvider().getRunningModels();
+
+    if (running.length === 0) {
+      list.innerHTML = '<p class="text-muted">No models loaded.</p>';
+      return;
+    }
+
+    list.innerHTML = running.map(model => {
+      const vram = model.size_vram ? `${this.formatBytes(model.size_vram)} VRAM` : 'CPU';
+      const expires = model.expires_at ? `unloads ${new Date(model.expires_at).toLocaleTimeString()}` : '';
+
+      return `
+        <div class="model-row running">
+          <div class="model-info">
+            <span class="model-name">${this.escapeHtml(model.name)}</span>
+            <span class="model-meta">${this.formatBytes(model.size)} · ${vram}${expires ? ` · ${expires}` : ''}</span>
+          </div>
+          <span class="status-dot"></span>
+        </div>
+      `;
+    }).join('');
+  }
+
+  async pullModel(modelName) {
+    if (!modelName) return;
+    if (this.isPulling) {
+      this.showNotification(`Already pulling ${this.pullingModel}; wait for it to finish or cancel it first`);
+      return;
+    }
+
+    this.isPulling = true;
+    this.pullingModel = modelName;
+    this.setPullState(true);
+    this.updatePullProgress({ status: `pulling ${modelName}`, percent: 0 });
+
+    // Keep the provider that owns the pull so cancel still reaches it
+    // if settings rebuild the Ollama provider meanwhile
+    this.pullProvider = this.getProvider();
+
+    try {
+      const completed = await this.pullProvider.pullModel(modelName, (progress) => {
+        this.updatePullProgress(progress);
+      });
+
+      if (completed) {
+        this.showSuccess(`${modelName} pulled successfully`);
+        const input = document.getElementById('pullModelName');
+        if (input) input.value = '';
+        await this.refresh();
+        this.notifyModelsChanged();
+      } else {
+        this.showNotification(`Pull of ${modelName} cancelled`);
+      }
+    } catch (error) {
+      this.showError(`Failed to pull ${modelName}: ${error.message}`);
+    } finally {
+      this.isPulling = false;
+      this.pullProvider = null;
+      this.pullingModel = null;
+      this.pullProgress = null;
+      this.setPullState(false);
+    }
+  }
+
+  cancelPull() {
+    this.pullProvider?.cancelPull();
+  }
+
+  setPullState(isPulling) {
+    document.getElementById('pullModelBtn')?.toggleAttribute('disabled', isPulling);
+    document.getElementById('cancelPullBtn')?.classList.toggle('hidden', !isPulling);
+    document.getElementById('pullProgress')?.classList.toggle('hidden', !isPulling);
+  }
+
+  updatePullProgress(progress) {
+    this.pullProgress = progress;
+
+    const fill = document.getElementById('pullProgressFill');
+    const text = document.getElementById('pullProgressText');
+    if (!fill || !text) return;
+
+    if (progress.percent !== null && progress.percent !== undefined) {
+      fill.style.width = `${progress.percent}%`;
+    }
+
+    let label = progress.status || '';
+    if (progress.total) {
+      label += ` — ${progress.percent}% (${this.formatBytes(progress.completed)} / ${this.formatBytes(progress.total)})`;
+    }
+    text.textContent = label;
+  }
+
+  async deleteModel(modelName) {
+    if (!confirm(`Delete model "${modelName}"? It will need to be pulled again to use it.`)) {
+      return;
+    }
+
+    const deleted = await this.getProvider().deleteModel(modelName);
+
+    if (deleted) {
+      this.showSuccess(`${modelName} deleted`);
+      document.getElementById('modelDetailsSection')?.classList.add('hidden');
+      await this.refresh();
+      this.notifyModelsChanged();
+    } else {
+      this.showError(`Failed to delete ${modelName}`);
+    }
+  }
+
+  async showModelDetails(modelName) {
+    const section = document.getElementById('modelDetailsSection');
+    const title = document.getElementById('modelDetailsTitle');
+    const details = document.getElementById('modelDetails');
+    if (!section || !details) return;
+
+    title.textContent = modelName;
+    details.innerHTML = '<div class="loading">Loading details...</div>';
+    section.classList.remove('hidden');
+
+    try {
+      const info = await this.getProvider().showModel(modelName);
+      const fields = [
+        ['Details', info.details ? describeModel({ details: info.details }) : ''],
+        ['Parameters', info.parameters],
+        ['Template', info.template],
+        ['Modelfile', info.modelfile],
+        ['License', info.license]
+      ];
+
+      details.innerHTML = fields
+        .filter(([, value]) => value)
+        .map(([label, value]) => `
+          <div class="model-detail">
+            <h5>${label}</h5>
+            <pre>${this.escapeHtml(value)}</pre>
+          </div>
+        `).join('') || '<p class="text-muted">No details available.</p>';
+    } catch (error) {
+      console.error('Failed to load model details:', error);
+      details.innerHTML = `<p class="text-muted">Failed to load details: ${this.escapeHtml(error.message)}</p>`;
+    }
+  }
+
+  notifyModelsChanged() {
+    // Let model pickers refresh their lists
+    if (typeof window !== 'undefined' && window.appEvents) {
+      window.appEvents.dispatchEvent(new CustomEvent('models-changed', {
+        detail: { provider: 'ollama', models: this.models }
+      }));
+    }
+  }
+
+  formatBytes(bytes) {
+    if (!bytes) return '0 B';
+
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+    return `${(bytes / 1024 ** exponent).toFixed(exponent > 1 ? 1 : 0)} ${units[exponent]}`;
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = String(text ?? '');
+    return div.innerHTML;
+  }
+
+  addStyles() {
+    if (document.getElementById('model-manager-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'model-manager-styles';
+    style.textContent = `
+      .model-manager-overlay {
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 100vw;
+        height: 100vh;
+        background: rgba(0, 0, 0, 0.7);
+        backdrop-filter: blur(8px);
+        z-index: 4000;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+      }
+
+      .model-manager {
+        width: 90%;
+        max-width: 640px;
+        max-height: 85vh;
+        overflow-y: auto;
+        padding: var(--spacing-lg);
+      }
+
+      .model-manager .modal-header {
+        padding: 0;
+        margin-bottom: var(--spacing-md);
+      }
+
+      .model-section {
+        margin-bottom: var(--spacing-lg);
+      }
+
+      .model-section .section-title {
+        color: var(--text-primary);
+        font-size: 15px;
+        font-weight: 600;
+        margin-bottom: var(--spacing-sm);
+        padding-bottom: var(--spacing-xs);
+        border-bottom: 1px solid var(--border-color);
+      }
+
+      .pull-row {
+        display: flex;
+        gap: var(--spacing-sm);
+      }
+
+      .pull-row .form-input {
+        flex: 1;
+      }
+
+      .pull-progress {
+        margin-top: var(--spacing-sm);
+        display: flex;
+        flex-direction: column;
+        gap: var(--spacing-xs);
+      }
+
+      .pull-progress-bar {
+        height: 8px;
+        background: var(--bg-tertiary);
+        border-radius: var(--radius-sm);
+        overflow: hidden;
+      }
+
+      .pull-progress-fill {
+        height: 100%;
+        background: linear-gradient(90deg, var(--accent-primary), var(--accent-secondary));
+        transition: width var(--transition-fast);
+      }
+
+      .pull-progress-text {
+        color: var(--text-secondary);
+        font-size: 12px;
+      }
+
+      .model-list {
+        display: flex;
+        flex-direction: column;
+        gap: var(--spacing-xs);
+      }
+
+      .model-row {
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        padding: var(--spacing-sm) var(--spacing-md);
+        background: var(--bg-secondary);
+        border: 1px solid var(--border-color);
+        border-radius: var(--radius-md);
+      }
+
+      .model-row.running .status-dot {
+        background: var(--status-online);
+      }
+
+      .model-info {
+        display: flex;
+        flex-direction: column;
+        min-width: 0;
+      }
+
+      .model-name {
+        color: var(--text-primary);
+        font-weight: 500;
+      }
+
+      .model-meta {
+        color: var(--text-muted);
+        font-size: 12px;
+      }
+
+      .model-actions {
+        display: flex;
+        gap: var(--spacing-xs);
+      }
+
+      .model-detail h5 {
+        margin: var(--spacing-sm) 0 var(--spacing-xs);
+        color: var(--text-secondary);
+      }
+
+      .model-detail pre {
+        max-height: 200px;
+        overflow: auto;
+        background: var(--bg-tertiary);
+        border-radius: var(--radius-sm);
+        padding: var(--spacing-sm);
+        color: var(--text-primary);
+        font-size: 12px;
+        white-space: pre-wrap;
+        word-break: break-word;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  showSuccess(message) {
+    this.showNotification(message, 'success');
+  }
+
+  showError(message) {
+    this.showNotification(message, 'error');
+  }
+
+  showNotification(message, type = 'info') {
+    const notification = document.createElement('div');
+    notification.className = `notification ${type}`;
+    notification.textContent = message;
+    notification.style.cssText = `
+      position: fixed;
+      top: 20px;
+      right: 20px;
+      background: ${type === 'error' ? 'var(--status-danger)' : type === 'success' ? 'var(--status-online)' : 'var(--status-info)'};
+      color: white;
+      padding: 12px 16px;
+      border-radius: var(--radius-md);
+      z-index: 5000;
+      animation: notificationSlideIn 0.3s ease;
+    `;
+
+    document.body.appendChild(notification);
+
+    setTimeout(() => {
+      notification.classList.add('notification-slide-out');
+      setTimeout(() => {
+        if (notification.parentNode) {
+          notification.parentNode.removeChild(notification);
+        }
+      }, 300);
+    }, 3000);
+  }
+
+  destroy() {
+    // Abort any pull in progress
+    if (this.isPulling) {
+      this.cancelPull();
+    }
+
+    this.close();
+
+    // Clean up styles
+    const styles = document.getElementById('model-manager-styles');
+    if (styles) {
+      styles.remove();
+    }
+  }
+}
+
+// Export for use in main app
+export { ModelManagerComponent };
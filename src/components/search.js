@@ -0,0 +1,282 @@
+// LLMAXX Search Component
+// Full-text search across every conversation, with filters and jump-to-message
+
+import { chatStorage } from '../utils/storage.js';
+import { searchIndex } from '../utils/search.js';
+import { MESSAGE_TYPES, MAIN_SESSION, MAIN_BRANCH } from '../utils/constants.js';
+
+const TYPE_LABELS = {
+  user: 'Your messages',
+  assistant: 'Character replies',
+  narration: 'Narration',
+  action: 'Actions',
+  system: 'System'
+};
+
+class SearchComponent {
+  constructor() {
+    this.searchButton = document.getElementById('searchButton');
+
+    this.overlay = null;
+    this.searchTimer = null;
+    this.lastQuery = null;
+
+    this.init();
+  }
+
+  init() {
+    this.bindEvents();
+  }
+
+  bindEvents() {
+    this.searchButton?.addEventListener('click', () => this.open());
+
+    // Keyboard shortcuts
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.overlay) {
+        this.close();
+      } else if ((e.ctrlKey || e.metaKey) && e.shiftKey && e.key.toLowerCase() === 'f') {
+        e.preventDefault();
+        this.open();
+      }
+    });
+  }
+
+  open() {
+    if (this.overlay) {
+      this.overlay.querySelector('#searchQuery').focus();
+      return;
+    }
+
+    this.overlay = document.createElement('div');
+    this.overlay.className = 'search-overlay';
+
+    const modal = document.createElement('div');
+    modal.className = 'search-panel panel';
+    modal.innerHTML = `
+      <div class="modal-header flex-between">
+        <h3 class="heading">Search Conversations</h3>
+        <button class="icon-button" id="closeSearch">
+          <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <path d="M18 6L6 18M6 6l12 12"/>
+          </svg>
+        </button>
+      </div>
+
+      <input type="search" id="searchQuery" class="form-input" placeholder="Search all chats..." autocomplete="off" />
+
+      <div class="search-filters">
+        <select id="searchCharacter" class="model-switcher">
+          <option value="">All characters</option>
+        </select>
+        <select id="searchType" class="model-switcher">
+          <option value="">All messages</option>
+          ${Object.values(MESSAGE_TYPES).map(type => `<option value="${type}">${TYPE_LABELS[type] || type}</option>`).join('')}
+        </select>
+        <label class="search-date">From <input type="date" id="searchFrom" class="model-switcher" /></label>
+        <label class="search-date">To <input type="date" id="searchTo" class="model-switcher" /></label>
+      </div>
+
+      <div class="search-status text-muted" id="searchStatus">Type to search every saved message</div>
+      <div class="search-results" id="searchResults"></div>
+    `;
+
+    this.overlay.appendChild(modal);
+    document.body.appendChild(this.overlay);
+
+    this.bindSearchEvents(modal);
+    this.populateCharacterFilter(modal.querySelector('#searchCharacter'));
+    modal.querySelector('#searchQuery').focus();
+
+    // Add entrance animation
+    this.overlay.classList.add('entrance-fade-in');
+    modal.classList.add('entrance-scale-in');
+  }
+
+  close() {
+    if (!this.overlay) return;
+
+    clearTimeout(this.searchTimer);
+    const overlay = this.overlay;
+    this.overlay = null;
+
+    overlay.classList.add('exit-fade-out');
+    setTimeout(() => {
+      if (overlay.parentNode) {
+        overlay.parentNode.removeChild(overlay);
+      }
+    }, 200);
+  }
+
+  bindSearchEvents(modal) {
+    modal.querySelector('#closeSearch').addEventListener('click', () => this.close());
+    this.overlay.addEventListener('click', (e) => {
+      if (e.target === this.overlay) this.close();
+    });
+
+    // Search as you type, once typing pauses
+    modal.querySelector('#searchQuery').addEventListener('input', () => this.scheduleSearch());
+    modal.querySelectorAll('.search-filters select, .search-filters input').forEach(input => {
+      input.addEventListener('change', () => this.runSearch());
+    });
+  }
+
+  async populateCharacterFilter(select) {
+    try {
+      const names = await searchIndex.getCharacterNames();
+      names.forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        select.appendChild(option);
+      });
+    } catch (error) {
+      console.error('Failed to load characters for search:', error);
+    }
+  }
+
+  scheduleSearch() {
+    clearTimeout(this.searchTimer);
+    this.searchTimer = setTimeout(() => this.runSearch(), 200);
+  }
+
+  getFilters() {
+    const value = (id) => this.overlay.querySelector(id).value;
+    const from = value('#searchFrom');
+    const to = value('#searchTo');
+
+    return {
+      characterName: value('#searchCharacter') || null,
+      types: value('#searchType') ? [value('#searchType')] : null,
+      // Date inputs are local days; "to" includes the whole day
+      from: from ? new Date(`${from}T00:00:00`).getTime() : null,
+      to: to ? new Date(`${to}T23:59:59.999`).getTime() : null
+    };
+  }
+
+  async runSearch() {
+    if (!this.overlay) return;
+
+    const query = this.overlay.querySelector('#searchQuery').value;
+    const status = this.overlay.querySelector('#searchStatus');
+    const container = this.overlay.querySelector('#searchResults');
+    this.lastQuery = query;
+
+    if (!query.trim()) {
+      status.textContent = 'Type to search every saved message';
+      container.innerHTML = '';
+      return;
+    }
+
+    try {
+      status.textContent = 'Searching...';
+      const { terms, results, total } = await searchIndex.search(query, this.getFilters());
+
+      // A newer query may have finished first
+      if (!this.overlay || this.lastQuery !== query) return;
+
+      status.textContent = total === 0
+        ? 'No messages found'
+        : `${total} message${total === 1 ? '' : 's'}${total > results.length ? `, showing the latest ${results.length}` : ''}`;
+
+      container.innerHTML = '';
+      const locations = await this.describeLocations(results);
+      results.forEach(result => {
+        container.appendChild(this.renderResult(result, terms, locations.get(result.chatName)));
+      });
+    } catch (error) {
+      console.error('Search failed:', error);
+      status.textContent = 'Search failed';
+    }
+  }
+
+  // Session titles and branch names for the chats in the results
+  async describeLocations(results) {
+    const locations = new Map();
+
+    for (const result of results) {
+      if (locations.has(result.chatName)) continue;
+
+      const parts = [];
+      if (result.sessionId !== MAIN_SESSION.id || result.branchId !== MAIN_BRANCH.id) {
+        const registry = await chatStorage.getSessions(result.characterName);
+        const session = registry.sessions.find(s => s.id === result.sessionId);
+        parts.push(session?.title || 'Deleted chat');
+      }
+      if (result.branchId !== MAIN_BRANCH.id) {
+        const tree = await chatStorage.getBranches(chatStorage.getSessionChatName(result.characterName, result.sessionId));
+        parts.push(tree.branches.find(b => b.id === result.branchId)?.name || 'Deleted branch');
+      }
+
+      locations.set(result.chatName, parts);
+    }
+
+    return locations;
+  }
+
+  renderResult(result, terms, location = []) {
+    const item = document.createElement('button');
+    item.className = 'search-result';
+    item.title = 'Open this message';
+
+    const header = document.createElement('div');
+    header.className = 'search-result-header';
+
+    const source = document.createElement('span');
+    source.className = 'search-result-source';
+    source.textContent = [result.characterName, ...location].join(' · ');
+
+    const meta = document.createElement('span');
+    meta.className = 'search-result-meta';
+    meta.textContent = [
+      TYPE_LABELS[result.type] || result.type,
+      result.timestamp ? new Date(result.timestamp).toLocaleString() : null,
+      result.copies > 1 ? `in ${result.copies} branches` : null,
+      result.archived ? 'archived' : null
+    ].filter(Boolean).join(' · ');
+
+    header.append(source, meta);
+
+    const snippet = document.createElement('div');
+    snippet.className = 'search-result-snippet';
+    this.appendHighlighted(snippet, result.snippet);
+
+    item.append(header, snippet);
+    item.addEventListener('click', () => this.openResult(result, terms));
+    return item;
+  }
+
+  // Text nodes and <mark>s only, so message text never becomes markup
+  appendHighlighted(element, { text, highlights }) {
+    let position = 0;
+
+    highlights.forEach(([start, end]) => {
+      element.appendChild(document.createTextNode(text.slice(position, start)));
+      const mark = document.createElement('mark');
+      mark.className = 'search-highlight';
+      mark.textContent = text.slice(start, end);
+      element.appendChild(mark);
+      position = end;
+    });
+
+    element.appendChild(document.createTextNode(text.slice(position)));
+  }
+
+  openResult(result, terms) {
+    if (typeof window !== 'undefined' && window.appEvents) {
+      window.appEvents.dispatchEvent(new CustomEvent('open-chat-message', {
+        detail: {
+          characterName: result.characterName,
+          sessionId: result.sessionId,
+          branchId: result.branchId,
+          messageId: result.messageId,
+          terms
+        }
+      }));
+    }
+    this.close();
+  }
+}
+
+// Export for use in main app
+export { SearchComponent };
@@ -3,7 +3,7 @@
 
 import { settingsStorage } from '../utils/storage.js';
 import { SYSTEM_CATEGORIES, EXTENSION_CATEGORIES } from '../utils/constants.js';
-import { api } from '../utils/api.js';
+import { api, describeModel } from '../utils/api.js';
 
 class SettingsComponent {
   constructor() {
@@ -45,8 +45,8 @@ class SettingsComponent {
   setupEventListeners() {
     // Listen for events from other components
     if (typeof window !== 'undefined' && window.appEvents) {
-      window.appEvents.on('open-settings', (data) => {
-        this.openSettings(data.category, data.title);
+      window.appEvents.addEventListener('open-settings', (e) => {
+        this.openSettings(e.detail?.category, e.detail?.title);
       });
     }
 
@@ -63,6 +63,7 @@ class SettingsComponent {
   async loadSettings() {
     try {
       this.settings = await settingsStorage.getSettings();
+      this.notifySettingsChanged();
     } catch (error) {
       console.error('Failed to load settings:', error);
       this.settings = {};
@@ -72,6 +73,7 @@ class SettingsComponent {
   async saveSettings() {
     try {
       await settingsStorage.setSettings(this.settings);
+      this.notifySettingsChanged();
       this.showSuccess('Settings saved successfully');
     } catch (error) {
       console.error('Failed to save settings:', error);
@@ -167,7 +169,7 @@ class SettingsComponent {
             <span>Max chat history</span>
             <input type="number" id="maxChatHistory" value="${this.settings.maxChatHistory || 1000}" min="100" max="10000" class="setting-input" />
           </label>
-          <p class="setting-description">Maximum number of messages to keep per character</p>
+          <p class="setting-description">Messages kept in each chat; older ones move to an archive that can still be searched and exported</p>
         </div>
       </div>
     `;
@@ -264,11 +266,10 @@ class SettingsComponent {
           <label class="setting-label">
             <span>Default Model</span>
             <select id="defaultModel" class="setting-select">
-              <option value="llama2" ${this.settings.defaultModel === 'llama2' ? 'selected' : ''}>Llama 2</option>
-              <option value="mistral" ${this.settings.defaultModel === 'mistral' ? 'selected' : ''}>Mistral</option>
-              <option value="codellama" ${this.settings.defaultModel === 'codellama' ? 'selected' : ''}>Code Llama</option>
+              <option value="${this.settings.defaultModel || ''}" selected>${this.settings.defaultModel || 'Loading models...'}</option>
             </select>
           </label>
+          <p class="setting-description" id="defaultModelDetails">Models available from the selected provider</p>
         </div>
       </div>
       
@@ -291,6 +292,14 @@ class SettingsComponent {
           <p class="setting-description">Maximum number of tokens in response</p>
         </div>
         
+        <div class="setting-item">
+          <label class="setting-label">
+            <span>Context Size</span>
+            <input type="number" id="contextSize" value="${this.settings.contextSize || 4096}" min="512" max="1048576" step="512" class="setting-input" />
+          </label>
+          <p class="setting-description">Model context window in tokens; history is trimmed to fit after reserving Max Tokens for the response</p>
+        </div>
+        
         <div class="setting-item">
           <label class="setting-label">
             <input type="checkbox" id="streamResponse" ${this.settings.streamResponse ? 'checked' : ''} />
@@ -324,6 +333,14 @@ class SettingsComponent {
           <p class="setting-description">URL for your Ollama instance</p>
         </div>
         
+        <div class="setting-item">
+          <label class="setting-label">
+            <span>OpenAI-Compatible URL</span>
+            <input type="url" id="openaiBaseUrl" value="${this.settings.openaiBaseUrl || 'https://api.openai.com/v1'}" class="setting-input" />
+          </label>
+          <p class="setting-description">Base URL including /v1, e.g. http://localhost:8080/v1 for llama.cpp, vLLM or LM Studio</p>
+        </div>
+        
         <div class="setting-item">
           <label class="setting-label">
             <span>Request Timeout (seconds)</span>
@@ -333,6 +350,25 @@ class SettingsComponent {
         </div>
       </div>
       
+      <div class="settings-section">
+        <h4 class="section-title">Reliability</h4>
+        <div class="setting-item">
+          <label class="setting-label">
+            <span>Retries</span>
+            <input type="number" id="maxRetries" value="${this.settings.maxRetries ?? 2}" min="0" max="5" class="setting-input" />
+          </label>
+          <p class="setting-description">Retry rate limits, server errors and dropped connections with backoff</p>
+        </div>
+        
+        <div class="setting-item">
+          <label class="setting-label">
+            <span>Fallback Providers</span>
+            <input type="text" id="fallbackProviders" value="${this.settings.fallbackProviders || ''}" placeholder="openai:gpt-4o-mini, anthropic" class="setting-input" />
+          </label>
+          <p class="setting-description">Tried in order when the active provider keeps failing; optional :model after each provider</p>
+        </div>
+      </div>
+      
       <div class="settings-section">
         <h4 class="section-title">API Keys</h4>
         <div class="setting-item">
@@ -348,6 +384,13 @@ class SettingsComponent {
             <input type="password" id="anthropicApiKey" value="${this.settings.anthropicApiKey || ''}" class="setting-input" />
           </label>
         </div>
+        
+        <div class="setting-item">
+          <label class="setting-label">
+            <span>Google API Key</span>
+            <input type="password" id="googleApiKey" value="${this.settings.googleApiKey || ''}" class="setting-input" />
+          </label>
+        </div>
       </div>
     `;
   }
@@ -490,13 +533,18 @@ class SettingsComponent {
     this.bindSelect('defaultModel');
     this.bindRange('temperature');
     this.bindNumber('maxTokens');
+    this.bindNumber('contextSize');
     this.bindCheckbox('streamResponse');
 
     // Server settings
     this.bindInput('ollamaUrl');
+    this.bindInput('openaiBaseUrl');
     this.bindNumber('requestTimeout');
+    this.bindNumber('maxRetries');
+    this.bindInput('fallbackProviders');
     this.bindInput('openaiApiKey');
     this.bindInput('anthropicApiKey');
+    this.bindInput('googleApiKey');
 
     // Appearance settings
     this.bindSelect('theme');
@@ -520,9 +568,10 @@ class SettingsComponent {
     document.getElementById('addPromptBtn')?.addEventListener('click', () => this.addPrompt());
     this.bindPromptEvents();
 
-    // Provider status
+    // Provider status and model list
     if (this.currentCategory === 'ai-config') {
       this.updateProviderStatus();
+      this.populateModelSelect();
     }
   }
 
@@ -629,6 +678,44 @@ class SettingsComponent {
     }
   }
 
+  async populateModelSelect() {
+    const select = document.getElementById('defaultModel');
+    const details = document.getElementById('defaultModelDetails');
+    if (!select) return;
+
+    const providerName = this.settings.defaultProvider || 'ollama';
+    const current = this.settings.defaultModel || '';
+    const models = await api.getModels(providerName);
+
+    // Ignore results if the panel changed while we were waiting
+    if (!document.body.contains(select)) return;
+
+    select.innerHTML = '';
+    
+    if (current && !models.some(model => model.name === current)) {
+      models.unshift({ name: current, unavailable: true });
+    }
+
+    if (models.length === 0) {
+      select.innerHTML = '<option value="">No models found</option>';
+    }
+
+    models.forEach(model => {
+      const option = document.createElement('option');
+      const description = model.unavailable ? 'not installed' : describeModel(model);
+      option.value = model.name;
+      option.textContent = description ? `${model.name} (${description})` : model.name;
+      option.selected = model.name === current;
+      select.appendChild(option);
+    });
+
+    if (details) {
+      details.textContent = models.length > 0
+        ? `${models.filter(model => !model.unavailable).length} models available from ${providerName}`
+        : `Could not load models from ${providerName}`;
+    }
+  }
+
   addPrompt() {
     // Show prompt editor modal
     this.showPromptEditor();
@@ -757,6 +844,19 @@ class SettingsComponent {
       case 'theme':
         document.body.className = `theme-${value}`;
         break;
+        
+      case 'defaultProvider':
+        this.populateModelSelect();
+        break;
+    }
+  }
+
+  notifySettingsChanged() {
+    // Let the API layer and app react to the new configuration
+    if (typeof window !== 'undefined' && window.appEvents) {
+      window.appEvents.dispatchEvent(new CustomEvent('settings-changed', {
+        detail: { ...this.settings }
+      }));
     }
   }
 
@@ -444,10 +444,12 @@ class SystemMonitorComponent {
   openSystemSettings() {
     // Emit event to open system settings
     if (typeof window !== 'undefined' && window.appEvents) {
-      window.appEvents.emit('open-settings', {
-        category: 'system',
-        title: 'System & Server Settings'
-      });
+      window.appEvents.dispatchEvent(new CustomEvent('open-settings', {
+        detail: {
+          category: 'system',
+          title: 'System & Server Settings'
+        }
+      }));
     }
   }
 
@@ -3,6 +3,7 @@
 
 import { worldInfoStorage } from '../utils/storage.js';
 import { MESSAGE_TYPES } from '../utils/constants.js';
+import { escapeHtml } from '../utils/markdown.js';
 
 class WorldInfoComponent {
   constructor() {
@@ -231,6 +232,11 @@ class WorldInfoComponent {
 
     let notes = '';
     
+    // Group chats list their members
+    if (this.currentCharacter.isGroup) {
+      notes += `<p><strong>Group:</strong> ${escapeHtml((this.currentCharacter.members || []).join(', ')) || 'No members'}</p>`;
+    }
+
     // Add character description
     if (this.currentCharacter.data?.description) {
       notes += `<p><strong>Description:</strong> ${this.currentCharacter.data.description}</p>`;
@@ -1,4 +1,4 @@
-const { app, BrowserWindow, Menu, globalShortcut, ipcMain, screen } = require('electron');
+const { app, BrowserWindow, Menu, globalShortcut, ipcMain, screen, shell } = require('electron');
 const path = require('path');
 const si = require('systeminformation');
 
@@ -32,6 +32,20 @@ function createMainWindow() {
   mainWindow.loadFile('src/index.html');
   mainWindow.setAlwaysOnTop(true, 'screen-saver');
 
+  // Links in chat messages open in the system browser, never in the overlay
+  mainWindow.webContents.setWindowOpenHandler(({ url }) => {
+    if (/^(https?:|mailto:)/i.test(url)) {
+      shell.openExternal(url);
+    }
+    return { action: 'deny' };
+  });
+
+  mainWindow.webContents.on('will-navigate', (event, url) => {
+    if (!url.startsWith('file:')) {
+      event.preventDefault();
+    }
+  });
+
   // Dev tools in development
   if (process.argv.includes('--dev')) {
     mainWindow.webContents.openDevTools();
@@ -1,14 +1,40 @@
 // LLMAXX API Utility
 // Handles API communication with various AI providers and services
 
-import { API_CONFIG, ERROR_MESSAGES } from './constants.js';
+import { API_CONFIG, DEFAULT_SETTINGS, ERROR_MESSAGES, ERROR_TYPES, REQUEST_PRIORITIES } from './constants.js';
+
+// Sent after the partial reply to providers that cannot continue an
+// assistant turn themselves
+const CONTINUE_INSTRUCTION = 'Continue your last message from exactly where it stopped. Do not repeat any of it or add commentary.';
+
+// Finish reasons that mean the reply hit the token limit
+const TRUNCATED_FINISH_REASONS = new Set(['length', 'max_tokens', 'MAX_TOKENS']);
 
 class APIManager {
   constructor() {
     this.providers = new Map();
     this.activeProvider = 'ollama';
+    
+    // Scheduler state: queued requests wait for a free slot on their provider
     this.requestQueue = [];
-    this.isProcessing = false;
+    this.activeRequests = new Map();
+    this.concurrency = new Map();
+    this.requestSequence = 0;
+    
+    // Generation defaults applied to every request, fed from settings
+    this.generationConfig = {
+      model: null,
+      temperature: API_CONFIG.defaultModel.temperature,
+      topP: API_CONFIG.defaultModel.topP,
+      maxTokens: API_CONFIG.defaultModel.maxTokens
+    };
+    
+    // Last applied connection settings per provider
+    this.connections = new Map();
+    
+    // Resilience: retry policy and fallback providers, fed from settings
+    this.retryConfig = { ...API_CONFIG.retry };
+    this.fallbackChain = [];
     
     // Initialize default providers
     this.initializeProviders();
@@ -18,10 +44,14 @@ class APIManager {
     // Initialize Ollama provider
     this.providers.set('ollama', new OllamaProvider(API_CONFIG.ollama));
     
-    // Placeholder for other providers
-    this.providers.set('openai', new OpenAIProvider());
-    this.providers.set('anthropic', new AnthropicProvider());
-    this.providers.set('google', new GoogleProvider());
+    // Initialize OpenAI-compatible provider
+    this.providers.set('openai', new OpenAIProvider(API_CONFIG.openai));
+    
+    // Initialize Anthropic provider
+    this.providers.set('anthropic', new AnthropicProvider(API_CONFIG.anthropic));
+    
+    // Initialize Google provider
+    this.providers.set('google', new GoogleProvider(API_CONFIG.google));
   }
 
   // Get current provider
@@ -39,82 +69,388 @@ class APIManager {
     return false;
   }
 
-  // Send chat message
-  async sendMessage(message, options = {}) {
-    const provider = this.getProvider();
+  // Rebuild a provider with new connection settings (URL, API key)
+  configureProvider(name, config = {}) {
+    const ProviderClass = PROVIDER_CLASSES[name];
+    if (!ProviderClass) return false;
+
+    this.providers.get(name)?.cancel();
+    this.providers.set(name, new ProviderClass({ ...API_CONFIG[name], ...config }));
+    return true;
+  }
+
+  // Listen for settings changes on the app event bus
+  attachEventBus(eventBus) {
+    eventBus.addEventListener('settings-changed', (e) => {
+      this.applySettings(e.detail);
+    });
+  }
+
+  // Apply user settings: active provider, connections and generation defaults
+  applySettings(settings = {}) {
+    const merged = { ...DEFAULT_SETTINGS, ...settings };
+    const timeout = (merged.requestTimeout || 30) * 1000;
+
+    const connections = {
+      ollama: {
+        baseUrl: merged.ollamaUrl || API_CONFIG.ollama.baseUrl,
+        timeout
+      },
+      openai: {
+        baseUrl: merged.openaiBaseUrl || API_CONFIG.openai.baseUrl,
+        apiKey: merged.openaiApiKey || '',
+        timeout
+      },
+      anthropic: {
+        apiKey: merged.anthropicApiKey || '',
+        timeout
+      },
+      google: {
+        apiKey: merged.googleApiKey || '',
+        timeout
+      }
+    };
+
+    // Only rebuild providers whose connection details actually changed
+    for (const [name, connection] of Object.entries(connections)) {
+      const signature = JSON.stringify(connection);
+      if (this.connections.get(name) !== signature) {
+        this.configureProvider(name, connection);
+        this.connections.set(name, signature);
+      }
+    }
+
+    this.setActiveProvider(merged.defaultProvider);
+
+    this.retryConfig = {
+      ...API_CONFIG.retry,
+      maxRetries: merged.maxRetries ?? API_CONFIG.retry.maxRetries
+    };
+    this.fallbackChain = parseFallbackChain(merged.fallbackProviders);
+
+    this.generationConfig = {
+      model: merged.defaultModel || null,
+      temperature: merged.temperature ?? API_CONFIG.defaultModel.temperature,
+      topP: merged.topP ?? API_CONFIG.defaultModel.topP,
+      maxTokens: merged.maxTokens || API_CONFIG.defaultModel.maxTokens
+    };
+  }
+
+  // Merge per-call options over the configured generation defaults
+  getRequestOptions(options = {}) {
+    const defaults = {};
+    
+    for (const [key, value] of Object.entries(this.generationConfig)) {
+      if (value !== null && value !== undefined) {
+        defaults[key] = value;
+      }
+    }
     
+    return { ...defaults, ...options };
+  }
+
+  // Send chat message. options.prefill continues a partial assistant reply;
+  // the result holds only the new text.
+  async sendMessage(message, options = {}) {
     try {
-      // Add to queue for processing
-      const request = {
-        type: 'chat',
-        message,
-        options,
-        timestamp: Date.now()
-      };
-      
+      const request = this.createRequest('chat', { message }, options);
       return await this.processRequest(request);
     } catch (error) {
       console.error('API sendMessage error:', error);
-      throw new Error(ERROR_MESSAGES.apiError);
+      throw error;
     }
   }
 
-  // Generate text
+  // Generate text. options.raw sends the prompt without the model's chat
+  // template where the provider allows it; elsewhere it goes as a chat
+  // turn, with options.prefill as the start of the reply. options.stop
+  // ends the text at any of the given strings.
   async generateText(prompt, options = {}) {
-    const provider = this.getProvider();
-    
     try {
-      const request = {
-        type: 'generate',
-        prompt,
-        options,
-        timestamp: Date.now()
-      };
-      
+      const request = this.createRequest('generate', { prompt }, options);
       return await this.processRequest(request);
     } catch (error) {
       console.error('API generateText error:', error);
-      throw new Error(ERROR_MESSAGES.apiError);
+      throw error;
     }
   }
 
-  // Process queued requests
-  async processRequest(request) {
-    this.requestQueue.push(request);
-    
-    if (!this.isProcessing) {
-      this.isProcessing = true;
-      
-      try {
-        const result = await this.executeRequest(request);
+  createRequestId() {
+    return `req_${Date.now()}_${++this.requestSequence}`;
+  }
+
+  // Build a request record with its own AbortController. Scheduler options
+  // (requestId, priority, provider, signal) and the prefill are split from
+  // generation options.
+  createRequest(type, payload, options = {}) {
+    const { requestId, priority, provider, signal, fallback, prefill, ...generationOptions } = options;
+    const controller = new AbortController();
+
+    // Follow a caller-supplied signal as well as our own
+    if (signal) {
+      if (signal.aborted) {
+        controller.abort();
+      } else {
+        signal.addEventListener('abort', () => controller.abort(), { once: true });
+      }
+    }
+
+    const request = {
+      id: requestId || this.createRequestId(),
+      type,
+      ...payload,
+      prefill: prefill || null,
+      provider: provider || this.activeProvider,
+      priority: typeof priority === 'number'
+        ? priority
+        : REQUEST_PRIORITIES[priority] ?? REQUEST_PRIORITIES.normal,
+      sequence: ++this.requestSequence,
+      options: this.getRequestOptions({ ...generationOptions, signal: controller.signal }),
+      allowFallback: fallback !== false,
+      controller,
+      timestamp: Date.now()
+    };
+
+    // Failover retargets provider and options; keep what the caller asked for
+    request.primaryProvider = request.provider;
+    request.baseOptions = request.options;
+
+    // A request cancelled while still queued never takes a slot
+    controller.signal.addEventListener('abort', () => {
+      if (this.requestQueue.includes(request)) {
         this.requestQueue = this.requestQueue.filter(r => r !== request);
-        return result;
-      } finally {
-        this.isProcessing = false;
+        request.reject(createCancelledError());
+      }
+    }, { once: true });
+
+    return request;
+  }
+
+  // Run a request once its provider has a free slot, retrying transient
+  // failures and falling back along the configured provider chain
+  async processRequest(request) {
+    const failures = [];
+
+    for (const target of this.getProviderChain(request)) {
+      this.targetRequest(request, target);
+
+      for (let retry = 0; ; retry++) {
+        try {
+          await this.acquireSlot(request);
+          
+          try {
+            const result = await this.executeRequest(request);
+            return {
+              ...result,
+              provider: request.provider,
+              fallback: request.provider !== request.primaryProvider
+            };
+          } finally {
+            this.releaseSlot(request);
+          }
+        } catch (error) {
+          if (request.controller.signal.aborted) throw error;
+          
+          error.model ??= request.options.model || null;
+          failures.push({ provider: request.provider, error });
+          
+          if (!this.shouldRetry(error, retry)) break;
+          await this.waitForRetry(error, retry, request.controller.signal);
+        }
+      }
+    }
+
+    throw this.createFailoverError(failures);
+  }
+
+  // Primary provider first, then configured fallbacks
+  getProviderChain(request) {
+    const chain = [{ provider: request.primaryProvider, model: null }];
+
+    if (request.allowFallback) {
+      for (const target of this.fallbackChain) {
+        const duplicate = chain.some(entry =>
+          entry.provider === target.provider &&
+          (target.model || null) === (entry.model || request.baseOptions.model || null)
+        );
         
-        // Process next request if any
-        if (this.requestQueue.length > 0) {
-          const nextRequest = this.requestQueue[0];
-          this.processRequest(nextRequest);
+        if (!duplicate && this.providers.has(target.provider)) {
+          chain.push(target);
         }
       }
     }
+
+    return chain;
+  }
+
+  targetRequest(request, target) {
+    const options = { ...request.baseOptions };
+
+    if (target.model) {
+      options.model = target.model;
+    } else if (target.provider !== request.primaryProvider) {
+      // The primary model name means nothing to another provider
+      delete options.model;
+    }
+
+    request.provider = target.provider;
+    request.options = options;
+  }
+
+  // 429, 5xx and dropped connections are worth another try; a Retry-After
+  // longer than we are willing to wait moves on to the next provider instead
+  shouldRetry(error, retry) {
+    if (retry >= this.retryConfig.maxRetries) return false;
+    if (error.retryAfter && error.retryAfter > this.retryConfig.maxDelay) return false;
+
+    return Boolean(
+      error.network ||
+      error.type === ERROR_TYPES.timeout ||
+      this.retryConfig.retryStatuses.includes(error.status) ||
+      ['ECONNRESET', 'ETIMEDOUT', 'EPIPE', 'UND_ERR_SOCKET'].includes(error.cause?.code)
+    );
+  }
+
+  waitForRetry(error, retry, signal) {
+    const { baseDelay, maxDelay } = this.retryConfig;
+    const backoff = Math.min(maxDelay, baseDelay * 2 ** retry);
+    // Jitter keeps parallel retries from hitting the server in lockstep
+    const delay = error.retryAfter ?? backoff * (0.5 + Math.random() / 2);
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, delay);
+      
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(createCancelledError());
+      };
+      
+      signal.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  // Surface the last failure, keeping every attempt for display
+  createFailoverError(failures) {
+    const { error } = failures[failures.length - 1];
+    
+    error.attempts = failures.map(({ provider, error: failure }) => ({
+      provider,
+      message: failure.message,
+      status: failure.status ?? null,
+      details: failure.details || ''
+    }));
+    
+    return error;
+  }
+
+  acquireSlot(request) {
+    return new Promise((resolve, reject) => {
+      if (request.controller.signal.aborted) {
+        reject(createCancelledError());
+        return;
+      }
+
+      request.start = resolve;
+      request.reject = reject;
+      
+      // Lower priority value runs first; FIFO within a lane
+      this.requestQueue.push(request);
+      this.requestQueue.sort((a, b) => a.priority - b.priority || a.sequence - b.sequence);
+      
+      this.processQueue();
+    });
+  }
+
+  releaseSlot(request) {
+    this.activeRequests.delete(request.id);
+    this.processQueue();
+  }
+
+  // Start every queued request whose provider has capacity
+  processQueue() {
+    for (const request of [...this.requestQueue]) {
+      if (this.getActiveCount(request.provider) >= this.getConcurrency(request.provider)) {
+        continue;
+      }
+
+      this.requestQueue = this.requestQueue.filter(r => r !== request);
+      this.activeRequests.set(request.id, request);
+      request.start();
+    }
+  }
+
+  getActiveCount(providerName) {
+    let count = 0;
+    for (const request of this.activeRequests.values()) {
+      if (request.provider === providerName) count++;
+    }
+    return count;
+  }
+
+  getConcurrency(providerName) {
+    return this.concurrency.get(providerName) ?? API_CONFIG[providerName]?.concurrency ?? 1;
+  }
+
+  // Limit how many requests run at once against a provider
+  setConcurrency(providerName, limit) {
+    this.concurrency.set(providerName, Math.max(1, parseInt(limit) || 1));
+    this.processQueue();
+  }
+
+  // Snapshot of queued and running requests
+  getQueueStatus() {
+    const describe = request => ({
+      id: request.id,
+      type: request.type,
+      provider: request.provider,
+      priority: request.priority,
+      timestamp: request.timestamp
+    });
+
+    return {
+      active: [...this.activeRequests.values()].map(describe),
+      queued: this.requestQueue.map(describe)
+    };
   }
 
   // Execute individual request
   async executeRequest(request) {
-    const provider = this.getProvider();
+    const provider = this.getProvider(request.provider);
     
     switch (request.type) {
       case 'chat':
-        return await provider.chat(request.message, request.options);
-      case 'generate':
-        return await provider.generate(request.prompt, request.options);
+        return await provider.chat(this.getChatMessages(request, provider), request.options);
+      case 'generate': {
+        if (!request.options.raw || provider.supportsRawPrompt) {
+          return await provider.generate(request.prompt, request.options);
+        }
+        const { raw: _raw, ...options } = request.options;
+        return await provider.chat(this.getChatMessages({ ...request, message: request.prompt }, provider), options);
+      }
       default:
         throw new Error(`Unknown request type: ${request.type}`);
     }
   }
 
+  // Messages as sent to one provider. A prefill goes last as an assistant
+  // turn for the model to carry on; providers that cannot continue a turn
+  // get the partial reply followed by an instruction to go on.
+  getChatMessages(request, provider) {
+    const messages = Array.isArray(request.message)
+      ? request.message
+      : [{ role: 'user', content: request.message }];
+
+    if (!request.prefill) return messages;
+
+    const partial = { role: 'assistant', content: request.prefill };
+    return provider.supportsPrefill
+      ? [...messages, partial]
+      : [...messages, partial, { role: 'user', content: CONTINUE_INSTRUCTION }];
+  }
+
   // Get available models
   async getModels(providerName = null) {
     const provider = this.getProvider(providerName);
@@ -146,29 +482,180 @@ class APIManager {
     }
   }
 
-  // Stream response
+  // Stream response; the stream holds a provider slot until it finishes.
+  // Failures before the first chunk are retried or failed over like
+  // processRequest; once text has arrived the error is passed through.
   async *streamMessage(message, options = {}) {
-    const provider = this.getProvider();
-    
+    const request = this.createRequest('stream', { message }, options);
+    const failures = [];
+
     try {
-      yield* provider.stream(message, options);
-    } catch (error) {
+      for (const target of this.getProviderChain(request)) {
+        this.targetRequest(request, target);
+
+        for (let retry = 0; ; retry++) {
+          let started = false;
+          let failure = null;
+
+          try {
+            await this.acquireSlot(request);
+          } catch (error) {
+            if (error.type === ERROR_TYPES.cancelled) {
+              return;
+            }
+            throw error;
+          }
+
+          try {
+            const provider = this.getProvider(request.provider);
+            
+            for await (const chunk of provider.stream(this.getChatMessages(request, provider), request.options)) {
+              started = true;
+              yield {
+                ...chunk,
+                provider: request.provider,
+                fallback: request.provider !== request.primaryProvider
+              };
+            }
+            return;
+          } catch (error) {
+            if (started || request.controller.signal.aborted) {
+              console.error('API streamMessage error:', error);
+              throw error;
+            }
+            failure = error;
+            failure.model ??= request.options.model || null;
+          } finally {
+            this.releaseSlot(request);
+          }
+
+          failures.push({ provider: request.provider, error: failure });
+          
+          if (!this.shouldRetry(failure, retry)) break;
+          
+          try {
+            await this.waitForRetry(failure, retry, request.controller.signal);
+          } catch (error) {
+            return;
+          }
+        }
+      }
+
+      const error = this.createFailoverError(failures);
       console.error('API streamMessage error:', error);
-      throw new Error(ERROR_MESSAGES.apiError);
+      throw error;
+    } finally {
+      // Closes the connection if the consumer stopped reading early
+      request.controller.abort();
     }
   }
 
-  // Cancel ongoing request
-  cancelRequest() {
-    const provider = this.getProvider();
-    if (provider.cancel) {
-      provider.cancel();
+  // Cancel one queued or running request
+  cancelRequest(requestId) {
+    const request = this.activeRequests.get(requestId) ||
+      this.requestQueue.find(r => r.id === requestId);
+
+    if (!request) {
+      return false;
     }
-    
-    // Clear queue
-    this.requestQueue = [];
-    this.isProcessing = false;
+
+    request.controller.abort();
+    return true;
+  }
+
+  // Cancel everything, e.g. on shutdown
+  cancelAll() {
+    [...this.requestQueue, ...this.activeRequests.values()].forEach(request => {
+      request.controller.abort();
+    });
+  }
+}
+
+// Error raised by providers; keeps the original details for display
+class APIError extends Error {
+  constructor(message, { type = ERROR_TYPES.api, provider = null, status = null, code = null, retryAfter = null, details = '', network = false, cause = null } = {}) {
+    super(message);
+    this.name = 'APIError';
+    this.type = type;
+    this.provider = provider;
+    this.status = status;
+    this.code = code;
+    this.retryAfter = retryAfter; // milliseconds
+    this.details = details;
+    this.network = network;
+    this.cause = cause;
+  }
+}
+
+const ERROR_TYPE_MESSAGES = {
+  [ERROR_TYPES.network]: ERROR_MESSAGES.networkError,
+  [ERROR_TYPES.timeout]: ERROR_MESSAGES.timeoutError,
+  [ERROR_TYPES.auth]: ERROR_MESSAGES.authError,
+  [ERROR_TYPES.modelNotFound]: ERROR_MESSAGES.modelNotFound,
+  [ERROR_TYPES.contextLength]: ERROR_MESSAGES.contextLengthExceeded,
+  [ERROR_TYPES.rateLimited]: ERROR_MESSAGES.rateLimited,
+  [ERROR_TYPES.cancelled]: ERROR_MESSAGES.requestCancelled,
+  [ERROR_TYPES.api]: ERROR_MESSAGES.apiError
+};
+
+function createAPIError(type, options = {}) {
+  return new APIError(ERROR_TYPE_MESSAGES[type], { ...options, type });
+}
+
+function createCancelledError() {
+  return createAPIError(ERROR_TYPES.cancelled);
+}
+
+// Map an HTTP failure to an error type. Providers disagree on status codes
+// (Google reports a bad key as 400), so the error text is checked as well.
+function classifyHttpError(status, details = '', code = '') {
+  const text = `${code || ''} ${details || ''}`;
+
+  if (status === 401 || status === 403 || /api[ _-]?key|authenticat|unauthori[sz]ed|permission/i.test(text)) {
+    return ERROR_TYPES.auth;
+  }
+  if (status === 429 || /rate[ _-]?limit|quota/i.test(text)) {
+    return ERROR_TYPES.rateLimited;
+  }
+  if (status === 408 || status === 504) {
+    return ERROR_TYPES.timeout;
+  }
+  if (/context[ _-]?length|context window|prompt is too long|maximum context|exceeds the maximum number of tokens/i.test(text)) {
+    return ERROR_TYPES.contextLength;
+  }
+  if ((status === 404 && /model/i.test(text)) || /model_not_found|model .*not found|try pulling it/i.test(text)) {
+    return ERROR_TYPES.modelNotFound;
+  }
+  return ERROR_TYPES.api;
+}
+
+// "ollama, openai:gpt-4o-mini" -> [{ provider, model }]; the model is
+// everything after the first colon so Ollama tags like llama3:8b survive
+function parseFallbackChain(value) {
+  const entries = Array.isArray(value) ? value : String(value || '').split(',');
+
+  return entries
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.indexOf(':');
+      return separator === -1
+        ? { provider: entry, model: null }
+        : { provider: entry.slice(0, separator).trim(), model: entry.slice(separator + 1).trim() || null };
+    });
+}
+
+// Retry-After is either delay-seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
   }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
 }
 
 // Base Provider Class
@@ -178,11 +665,18 @@ class BaseProvider {
     this.baseUrl = config.baseUrl || '';
     this.timeout = config.timeout || 30000;
     this.abortController = null;
+    
+    // Whether a trailing assistant message is continued rather than
+    // answered; see APIManager.getChatMessages
+    this.supportsPrefill = false;
+    // Whether generate() can complete a prompt without the chat template;
+    // see APIManager.executeRequest
+    this.supportsRawPrompt = false;
   }
 
   async checkStatus() {
     try {
-      const response = await fetch(`${this.baseUrl}/health`, {
+      const response = await this.fetchResponse(`${this.baseUrl}/health`, {
         method: 'GET',
         timeout: 5000
       });
@@ -221,30 +715,147 @@ class BaseProvider {
     return this.abortController.signal;
   }
 
+  getHeaders() {
+    return {
+      'Content-Type': 'application/json'
+    };
+  }
+
+  // Requests only abort through their own signal, so a status check
+  // never cancels a generation running on the same provider
   async makeRequest(url, options = {}) {
-    const signal = this.createAbortController();
-    
     const requestOptions = {
       ...options,
-      signal,
+      headers: {
+        ...this.getHeaders(),
+        ...options.headers
+      },
       timeout: this.timeout
     };
 
     try {
-      const response = await fetch(url, requestOptions);
-      
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-      
+      const response = await this.fetchResponse(url, requestOptions);
       return await response.json();
     } catch (error) {
       if (error.name === 'AbortError') {
-        throw new Error('Request cancelled');
+        throw createCancelledError();
       }
       throw error;
     }
   }
+
+  // fetch() that turns failures into typed APIErrors: HTTP errors keep
+  // their status, Retry-After and response body; connection failures are
+  // flagged as network errors. The timeout covers waiting for the response
+  // headers only, so long streams are not cut off. Caller aborts are
+  // rethrown untouched.
+  async fetchResponse(url, options = {}) {
+    const { timeout = this.timeout, ...fetchOptions } = options;
+    const timeoutController = new AbortController();
+    const timer = timeout ? setTimeout(() => timeoutController.abort(), timeout) : null;
+    const signal = options.signal
+      ? AbortSignal.any([options.signal, timeoutController.signal])
+      : timeoutController.signal;
+
+    let response;
+    
+    try {
+      response = await fetch(url, { ...fetchOptions, signal });
+    } catch (error) {
+      if (timeoutController.signal.aborted && !options.signal?.aborted) {
+        throw createAPIError(ERROR_TYPES.timeout, {
+          provider: this.name,
+          details: `No response after ${Math.round(timeout / 1000)}s`,
+          cause: error
+        });
+      }
+      if (error.name === 'AbortError') {
+        throw error;
+      }
+      throw createAPIError(ERROR_TYPES.network, {
+        provider: this.name,
+        details: error.cause?.code || error.message,
+        network: true,
+        cause: error
+      });
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (!response.ok) {
+      throw await this.createHttpError(response);
+    }
+
+    return response;
+  }
+
+  async createHttpError(response) {
+    let details = '';
+    let code = null;
+    
+    try {
+      details = await response.text();
+      // Prefer the provider's own message from JSON error bodies
+      const body = JSON.parse(details);
+      details = body.error?.message || body.error || body.message || details;
+      code = body.error?.code || body.error?.type || body.error?.status || null;
+    } catch (error) {
+      // Not JSON; keep the raw text
+    }
+
+    details = typeof details === 'string' ? details : JSON.stringify(details);
+    const type = classifyHttpError(response.status, details, code);
+
+    return new APIError(
+      type === ERROR_TYPES.api ? `HTTP ${response.status}: ${response.statusText}` : ERROR_TYPE_MESSAGES[type],
+      {
+        type,
+        provider: this.name,
+        status: response.status,
+        code,
+        retryAfter: parseRetryAfter(response.headers.get('retry-after')),
+        details
+      }
+    );
+  }
+
+  // Parse a text/event-stream body into { event, data } records
+  async *readEventStream(response) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let event = null;
+    let data = [];
+
+    while (true) {
+      const { done, value } = await reader.read();
+      
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop() || '';
+
+      for (const line of lines) {
+        if (line === '') {
+          // Blank line terminates the current event
+          if (data.length > 0) {
+            yield { event: event || 'message', data: data.join('\n') };
+          }
+          event = null;
+          data = [];
+        } else if (line.startsWith('event:')) {
+          event = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+          data.push(line.slice(5).replace(/^ /, ''));
+        }
+      }
+    }
+
+    if (data.length > 0) {
+      yield { event: event || 'message', data: data.join('\n') };
+    }
+  }
 }
 
 // Ollama Provider
@@ -254,6 +865,9 @@ class OllamaProvider extends BaseProvider {
       name: 'ollama',
       ...config
     });
+    this.pullController = null;
+    this.supportsPrefill = true;
+    this.supportsRawPrompt = true;
   }
 
   async checkStatus() {
@@ -284,9 +898,9 @@ class OllamaProvider extends BaseProvider {
       messages: Array.isArray(messages) ? messages : [{ role: 'user', content: messages }],
       stream: false,
       options: {
-        temperature: options.temperature || 0.7,
-        top_p: options.topP || 0.9,
-        max_tokens: options.maxTokens || 2048,
+        temperature: options.temperature ?? 0.7,
+        top_p: options.topP ?? 0.9,
+        num_predict: options.maxTokens || 2048,
         ...options.options
       }
     };
@@ -297,13 +911,15 @@ class OllamaProvider extends BaseProvider {
         headers: {
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify(payload)
+        body: JSON.stringify(payload),
+        signal: options.signal
       });
 
       return {
         content: data.message?.content || '',
         model: data.model || payload.model,
         done: data.done || true,
+        finishReason: data.done_reason,
         usage: data.usage
       };
     } catch (error) {
@@ -318,26 +934,33 @@ class OllamaProvider extends BaseProvider {
       prompt: prompt,
       stream: false,
       options: {
-        temperature: options.temperature || 0.7,
-        top_p: options.topP || 0.9,
-        max_tokens: options.maxTokens || 2048,
+        temperature: options.temperature ?? 0.7,
+        top_p: options.topP ?? 0.9,
+        num_predict: options.maxTokens || 2048,
+        ...(options.stop ? { stop: options.stop } : {}),
         ...options.options
       }
     };
 
+    if (options.raw) {
+      payload.raw = true;
+    }
+
     try {
       const data = await this.makeRequest(`${this.baseUrl}/api/generate`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify(payload)
+        body: JSON.stringify(payload),
+        signal: options.signal
       });
 
       return {
         content: data.response || '',
         model: data.model || payload.model,
         done: data.done || true,
+        finishReason: data.done_reason,
         usage: data.usage
       };
     } catch (error) {
@@ -352,17 +975,17 @@ class OllamaProvider extends BaseProvider {
       messages: Array.isArray(messages) ? messages : [{ role: 'user', content: messages }],
       stream: true,
       options: {
-        temperature: options.temperature || 0.7,
-        top_p: options.topP || 0.9,
-        max_tokens: options.maxTokens || 2048,
+        temperature: options.temperature ?? 0.7,
+        top_p: options.topP ?? 0.9,
+        num_predict: options.maxTokens || 2048,
         ...options.options
       }
     };
 
-    const signal = this.createAbortController();
+    const signal = options.signal || this.createAbortController();
 
     try {
-      const response = await fetch(`${this.baseUrl}/api/chat`, {
+      const response = await this.fetchResponse(`${this.baseUrl}/api/chat`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
@@ -371,10 +994,6 @@ class OllamaProvider extends BaseProvider {
         signal
       });
 
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-
       const reader = response.body.getReader();
       const decoder = new TextDecoder();
       let buffer = '';
@@ -402,6 +1021,12 @@ class OllamaProvider extends BaseProvider {
               }
               
               if (data.done) {
+                yield {
+                  content: '',
+                  model: data.model,
+                  done: true,
+                  finishReason: data.done_reason
+                };
                 return;
               }
             } catch (parseError) {
@@ -418,99 +1043,788 @@ class OllamaProvider extends BaseProvider {
     }
   }
 
-  async pullModel(modelName) {
+  // Pull a model, reporting NDJSON progress records through onProgress.
+  // Resolves true when the pull completes and false when it is cancelled.
+  async pullModel(modelName, onProgress = null) {
+    this.cancelPull();
+    const controller = new AbortController();
+    this.pullController = controller;
+
     try {
-      const response = await fetch(`${this.baseUrl}/api/pull`, {
+      const response = await this.fetchResponse(`${this.baseUrl}/api/pull`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({ name: modelName })
+        body: JSON.stringify({ model: modelName, stream: true }),
+        signal: controller.signal
       });
 
-      return response.ok;
+      for await (const data of this.readJsonLines(response)) {
+        if (data.error) {
+          throw new Error(data.error);
+        }
+
+        if (onProgress) {
+          onProgress({
+            status: data.status,
+            digest: data.digest,
+            total: data.total || 0,
+            completed: data.completed || 0,
+            percent: data.total ? Math.round(((data.completed || 0) / data.total) * 100) : null
+          });
+        }
+
+        if (data.status === 'success') {
+          return true;
+        }
+      }
+
+      return true;
     } catch (error) {
+      if (error.name === 'AbortError') {
+        return false;
+      }
       console.error('Ollama pullModel error:', error);
-      return false;
+      throw error;
+    } finally {
+      if (this.pullController === controller) {
+        this.pullController = null;
+      }
     }
   }
 
-  async deleteModel(modelName) {
-    try {
-      const response = await fetch(`${this.baseUrl}/api/delete`, {
-        method: 'DELETE',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({ name: modelName })
-      });
-
-      return response.ok;
-    } catch (error) {
-      console.error('Ollama deleteModel error:', error);
-      return false;
+  cancelPull() {
+    if (this.pullController) {
+      this.pullController.abort();
+      this.pullController = null;
     }
   }
-}
 
-// Placeholder providers for other services
-class OpenAIProvider extends BaseProvider {
-  constructor() {
+  async *readJsonLines(response) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+      const { done, value } = await reader.read();
+      
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop() || '';
+
+      for (const line of lines) {
+        if (line.trim()) {
+          try {
+            yield JSON.parse(line);
+          } catch (parseError) {
+            console.warn('Failed to parse streaming response:', line);
+          }
+        }
+      }
+    }
+
+    // A stream cut off mid-line leaves a partial last line; skip it
+    if (buffer.trim()) {
+      try {
+        yield JSON.parse(buffer);
+      } catch (parseError) {
+        console.warn('Failed to parse streaming response:', buffer);
+      }
+    }
+  }
+
+  // Modelfile, parameters, template, license and details for one model
+  async showModel(modelName) {
+    const response = await this.fetchResponse(`${this.baseUrl}/api/show`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ model: modelName })
+    });
+
+    return await response.json();
+  }
+
+  // Models currently loaded into memory
+  async getRunningModels() {
+    try {
+      const response = await this.fetchResponse(`${this.baseUrl}/api/ps`, {
+        method: 'GET',
+        timeout: 3000
+      });
+
+      const data = await response.json();
+      return data.models || [];
+    } catch (error) {
+      console.error('Ollama getRunningModels error:', error);
+      return [];
+    }
+  }
+
+  async deleteModel(modelName) {
+    try {
+      const response = await this.fetchResponse(`${this.baseUrl}/api/delete`, {
+        method: 'DELETE',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ model: modelName })
+      });
+
+      return response.ok;
+    } catch (error) {
+      console.error('Ollama deleteModel error:', error);
+      return false;
+    }
+  }
+}
+
+// OpenAI Provider
+// Works against api.openai.com and any OpenAI-compatible server
+// (llama.cpp, vLLM, LM Studio) by pointing baseUrl at its /v1 root
+class OpenAIProvider extends BaseProvider {
+  constructor(config = {}) {
     super({
       name: 'openai',
-      baseUrl: 'https://api.openai.com/v1'
+      ...API_CONFIG.openai,
+      ...config
     });
+    this.baseUrl = (config.baseUrl || API_CONFIG.openai.baseUrl).replace(/\/+$/, '');
+    this.apiKey = config.apiKey || '';
+    // Local servers still offer /completions; OpenAI's chat models do not
+    this.supportsRawPrompt = !/^https?:\/\/api\.openai\.com\b/i.test(this.baseUrl);
+  }
+
+  getHeaders() {
+    const headers = super.getHeaders();
+    
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+    
+    return headers;
+  }
+
+  async checkStatus() {
+    try {
+      const response = await fetch(`${this.baseUrl}/models`, {
+        method: 'GET',
+        headers: this.getHeaders(),
+        timeout: 5000
+      });
+      return response.ok;
+    } catch (error) {
+      return false;
+    }
   }
 
   async getModels() {
-    // Implementation for OpenAI models
-    return [];
+    try {
+      const data = await this.makeRequest(`${this.baseUrl}/models`);
+      return (data.data || []).map(model => ({
+        name: model.id,
+        id: model.id,
+        owned_by: model.owned_by,
+        created: model.created
+      }));
+    } catch (error) {
+      console.error('OpenAI getModels error:', error);
+      return [];
+    }
+  }
+
+  buildPayload(messages, options = {}, stream = false) {
+    return {
+      model: options.model || 'gpt-4o-mini',
+      messages: Array.isArray(messages) ? messages : [{ role: 'user', content: messages }],
+      stream,
+      temperature: options.temperature ?? 0.7,
+      top_p: options.topP ?? 0.9,
+      max_tokens: options.maxTokens || 2048,
+      ...(options.stop ? { stop: options.stop } : {}),
+      ...options.options
+    };
   }
 
   async chat(messages, options = {}) {
-    // Implementation for OpenAI chat
-    throw new Error('OpenAI provider not fully implemented');
+    const payload = this.buildPayload(messages, options);
+
+    try {
+      const data = await this.makeRequest(`${this.baseUrl}/chat/completions`, {
+        method: 'POST',
+        body: JSON.stringify(payload),
+        signal: options.signal
+      });
+
+      const choice = data.choices?.[0];
+      return {
+        content: choice?.message?.content || '',
+        model: data.model || payload.model,
+        done: true,
+        finishReason: choice?.finish_reason,
+        usage: data.usage
+      };
+    } catch (error) {
+      console.error('OpenAI chat error:', error);
+      throw error;
+    }
+  }
+
+  async generate(prompt, options = {}) {
+    const payload = {
+      model: options.model || 'gpt-3.5-turbo-instruct',
+      prompt,
+      stream: false,
+      temperature: options.temperature ?? 0.7,
+      top_p: options.topP ?? 0.9,
+      max_tokens: options.maxTokens || 2048,
+      ...(options.stop ? { stop: options.stop } : {}),
+      ...options.options
+    };
+
+    try {
+      const data = await this.makeRequest(`${this.baseUrl}/completions`, {
+        method: 'POST',
+        body: JSON.stringify(payload),
+        signal: options.signal
+      });
+
+      const choice = data.choices?.[0];
+      return {
+        content: choice?.text || '',
+        model: data.model || payload.model,
+        done: true,
+        finishReason: choice?.finish_reason,
+        usage: data.usage
+      };
+    } catch (error) {
+      console.error('OpenAI generate error:', error);
+      throw error;
+    }
+  }
+
+  async *stream(messages, options = {}) {
+    const payload = this.buildPayload(messages, options, true);
+    const signal = options.signal || this.createAbortController();
+
+    try {
+      const response = await this.fetchResponse(`${this.baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers: this.getHeaders(),
+        body: JSON.stringify(payload),
+        signal
+      });
+
+      for await (const { data } of this.readEventStream(response)) {
+        if (data === '[DONE]') {
+          return;
+        }
+
+        try {
+          const parsed = JSON.parse(data);
+          const choice = parsed.choices?.[0];
+          
+          if (choice?.delta?.content) {
+            yield {
+              content: choice.delta.content,
+              model: parsed.model,
+              done: false
+            };
+          }
+          
+          if (choice?.finish_reason) {
+            yield {
+              content: '',
+              model: parsed.model,
+              done: true,
+              finishReason: choice.finish_reason,
+              usage: parsed.usage
+            };
+          }
+        } catch (parseError) {
+          console.warn('Failed to parse streaming response:', data);
+        }
+      }
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        return;
+      }
+      throw error;
+    }
   }
 }
 
+// HTTP status each Anthropic error type is sent with, so errors that arrive
+// as stream events are retried and classified like HTTP failures
+const ANTHROPIC_ERROR_STATUSES = {
+  invalid_request_error: 400,
+  authentication_error: 401,
+  permission_error: 403,
+  not_found_error: 404,
+  request_too_large: 413,
+  rate_limit_error: 429,
+  api_error: 500,
+  overloaded_error: 529
+};
+
+// Anthropic Provider
 class AnthropicProvider extends BaseProvider {
-  constructor() {
+  constructor(config = {}) {
     super({
       name: 'anthropic',
-      baseUrl: 'https://api.anthropic.com/v1'
+      ...API_CONFIG.anthropic,
+      ...config
     });
+    this.baseUrl = (config.baseUrl || API_CONFIG.anthropic.baseUrl).replace(/\/+$/, '');
+    this.apiKey = config.apiKey || '';
+    this.version = config.version || API_CONFIG.anthropic.version;
+    this.supportsPrefill = true;
+  }
+
+  getHeaders() {
+    return {
+      ...super.getHeaders(),
+      'x-api-key': this.apiKey,
+      'anthropic-version': this.version,
+      // Required for requests made from the renderer process
+      'anthropic-dangerous-direct-browser-access': 'true'
+    };
+  }
+
+  async checkStatus() {
+    try {
+      const response = await this.fetchResponse(`${this.baseUrl}/models`, {
+        method: 'GET',
+        headers: this.getHeaders(),
+        timeout: 5000
+      });
+      return response.ok;
+    } catch (error) {
+      return false;
+    }
   }
 
   async getModels() {
-    // Implementation for Anthropic models
-    return [];
+    try {
+      const data = await this.makeRequest(`${this.baseUrl}/models`);
+      return (data.data || []).map(model => ({
+        name: model.id,
+        id: model.id,
+        displayName: model.display_name,
+        created: model.created_at
+      }));
+    } catch (error) {
+      console.error('Anthropic getModels error:', error);
+      return [];
+    }
+  }
+
+  // Convert OpenAI-style messages into the Messages API shape: every
+  // system entry is hoisted into the top-level system field and
+  // consecutive turns from the same role are merged
+  convertMessages(messages) {
+    const list = Array.isArray(messages) ? messages : [{ role: 'user', content: messages }];
+    const system = [];
+    const turns = [];
+
+    for (const message of list) {
+      if (!message.content) continue;
+
+      if (message.role === 'system') {
+        system.push(message.content);
+        continue;
+      }
+
+      const role = message.role === 'assistant' ? 'assistant' : 'user';
+      const previous = turns[turns.length - 1];
+      
+      if (previous && previous.role === role) {
+        previous.content += `\n\n${message.content}`;
+      } else {
+        turns.push({ role, content: message.content });
+      }
+    }
+
+    // A prefilled final assistant turn may not end in whitespace
+    const last = turns[turns.length - 1];
+    if (last?.role === 'assistant') {
+      last.content = last.content.trimEnd();
+    }
+
+    return {
+      system: system.join('\n\n'),
+      messages: turns
+    };
+  }
+
+  createStreamError(error = {}, data = '') {
+    const code = error?.type || null;
+    const status = ANTHROPIC_ERROR_STATUSES[code] || null;
+    const details = error?.message || data;
+    const type = classifyHttpError(status, details, code);
+
+    return new APIError(
+      type === ERROR_TYPES.api ? `Anthropic stream error: ${details}` : ERROR_TYPE_MESSAGES[type],
+      { type, provider: this.name, status, code, details }
+    );
+  }
+
+  buildPayload(messages, options = {}, stream = false) {
+    const { system, messages: turns } = this.convertMessages(messages);
+    const payload = {
+      model: options.model || 'claude-sonnet-4-5',
+      messages: turns,
+      max_tokens: options.maxTokens || 2048,
+      stream,
+      ...options.options
+    };
+
+    if (system) {
+      payload.system = system;
+    }
+    
+    // Current Claude models reject temperature and top_p together, so
+    // top_p replaces temperature only when it was changed from the default
+    if (options.topP !== undefined && options.topP !== API_CONFIG.defaultModel.topP) {
+      payload.top_p = options.topP;
+    } else {
+      payload.temperature = Math.min(options.temperature ?? 0.7, 1);
+    }
+
+    if (options.stop) {
+      payload.stop_sequences = options.stop;
+    }
+
+    return payload;
   }
 
   async chat(messages, options = {}) {
-    // Implementation for Anthropic chat
-    throw new Error('Anthropic provider not fully implemented');
+    const payload = this.buildPayload(messages, options);
+
+    try {
+      const data = await this.makeRequest(`${this.baseUrl}/messages`, {
+        method: 'POST',
+        body: JSON.stringify(payload),
+        signal: options.signal
+      });
+
+      return {
+        content: (data.content || [])
+          .filter(block => block.type === 'text')
+          .map(block => block.text)
+          .join(''),
+        model: data.model || payload.model,
+        done: true,
+        finishReason: data.stop_reason,
+        usage: data.usage
+      };
+    } catch (error) {
+      console.error('Anthropic chat error:', error);
+      throw error;
+    }
+  }
+
+  async generate(prompt, options = {}) {
+    return await this.chat([{ role: 'user', content: prompt }], options);
+  }
+
+  async *stream(messages, options = {}) {
+    const payload = this.buildPayload(messages, options, true);
+    const signal = options.signal || this.createAbortController();
+    let model = payload.model;
+    let usage = {};
+
+    try {
+      const response = await this.fetchResponse(`${this.baseUrl}/messages`, {
+        method: 'POST',
+        headers: this.getHeaders(),
+        body: JSON.stringify(payload),
+        signal
+      });
+
+      for await (const { event, data } of this.readEventStream(response)) {
+        let parsed;
+        try {
+          parsed = JSON.parse(data);
+        } catch (parseError) {
+          console.warn('Failed to parse streaming response:', data);
+          continue;
+        }
+
+        switch (event) {
+          case 'message_start':
+            model = parsed.message?.model || model;
+            usage = { ...usage, ...parsed.message?.usage };
+            break;
+            
+          case 'content_block_delta':
+            if (parsed.delta?.type === 'text_delta' && parsed.delta.text) {
+              yield {
+                content: parsed.delta.text,
+                model,
+                done: false
+              };
+            }
+            break;
+            
+          case 'message_delta':
+            usage = { ...usage, ...parsed.usage };
+            yield {
+              content: '',
+              model,
+              done: true,
+              finishReason: parsed.delta?.stop_reason,
+              usage
+            };
+            break;
+            
+          case 'message_stop':
+            return;
+            
+          case 'error':
+            throw this.createStreamError(parsed.error, data);
+        }
+      }
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        return;
+      }
+      throw error;
+    }
   }
 }
 
+// Google Gemini Provider
 class GoogleProvider extends BaseProvider {
-  constructor() {
+  constructor(config = {}) {
     super({
       name: 'google',
-      baseUrl: 'https://generativelanguage.googleapis.com/v1'
+      ...API_CONFIG.google,
+      ...config
     });
+    this.baseUrl = (config.baseUrl || API_CONFIG.google.baseUrl).replace(/\/+$/, '');
+    this.apiKey = config.apiKey || '';
+  }
+
+  getHeaders() {
+    return {
+      ...super.getHeaders(),
+      'x-goog-api-key': this.apiKey
+    };
+  }
+
+  async checkStatus() {
+    try {
+      const response = await this.fetchResponse(`${this.baseUrl}/models`, {
+        method: 'GET',
+        headers: this.getHeaders(),
+        timeout: 5000
+      });
+      return response.ok;
+    } catch (error) {
+      return false;
+    }
   }
 
   async getModels() {
-    // Implementation for Google models
-    return [];
+    try {
+      const data = await this.makeRequest(`${this.baseUrl}/models`);
+      return (data.models || [])
+        .filter(model => (model.supportedGenerationMethods || []).includes('generateContent'))
+        .map(model => ({
+          name: model.name.replace(/^models\//, ''),
+          id: model.name,
+          displayName: model.displayName,
+          contextSize: model.inputTokenLimit
+        }));
+    } catch (error) {
+      console.error('Google getModels error:', error);
+      return [];
+    }
+  }
+
+  // Translate OpenAI-style messages into Gemini contents and a
+  // systemInstruction; Gemini calls the assistant role "model"
+  convertMessages(messages) {
+    const list = Array.isArray(messages) ? messages : [{ role: 'user', content: messages }];
+    const system = [];
+    const contents = [];
+
+    for (const message of list) {
+      if (!message.content) continue;
+
+      if (message.role === 'system') {
+        system.push(message.content);
+        continue;
+      }
+
+      const role = message.role === 'assistant' ? 'model' : 'user';
+      const previous = contents[contents.length - 1];
+      
+      if (previous && previous.role === role) {
+        previous.parts.push({ text: message.content });
+      } else {
+        contents.push({ role, parts: [{ text: message.content }] });
+      }
+    }
+
+    return {
+      systemInstruction: system.length > 0 ? { parts: [{ text: system.join('\n\n') }] } : null,
+      contents
+    };
+  }
+
+  buildPayload(messages, options = {}) {
+    const { systemInstruction, contents } = this.convertMessages(messages);
+    const payload = {
+      contents,
+      generationConfig: {
+        temperature: options.temperature ?? 0.7,
+        topP: options.topP ?? 0.9,
+        maxOutputTokens: options.maxTokens || 2048,
+        ...(options.stop ? { stopSequences: options.stop } : {}),
+        ...options.options
+      }
+    };
+
+    if (systemInstruction) {
+      payload.systemInstruction = systemInstruction;
+    }
+
+    return payload;
+  }
+
+  getModelName(options = {}) {
+    return (options.model || 'gemini-2.0-flash').replace(/^models\//, '');
+  }
+
+  extractText(data) {
+    const parts = data.candidates?.[0]?.content?.parts || [];
+    return parts.map(part => part.text || '').join('');
   }
 
   async chat(messages, options = {}) {
-    // Implementation for Google chat
-    throw new Error('Google provider not fully implemented');
+    const model = this.getModelName(options);
+    const payload = this.buildPayload(messages, options);
+
+    try {
+      const data = await this.makeRequest(`${this.baseUrl}/models/${model}:generateContent`, {
+        method: 'POST',
+        body: JSON.stringify(payload),
+        signal: options.signal
+      });
+
+      return {
+        content: this.extractText(data),
+        model: data.modelVersion || model,
+        done: true,
+        finishReason: data.candidates?.[0]?.finishReason,
+        usage: data.usageMetadata
+      };
+    } catch (error) {
+      console.error('Google chat error:', error);
+      throw error;
+    }
+  }
+
+  async generate(prompt, options = {}) {
+    return await this.chat([{ role: 'user', content: prompt }], options);
   }
+
+  async *stream(messages, options = {}) {
+    const model = this.getModelName(options);
+    const payload = this.buildPayload(messages, options);
+    const signal = options.signal || this.createAbortController();
+
+    try {
+      const response = await this.fetchResponse(`${this.baseUrl}/models/${model}:streamGenerateContent?alt=sse`, {
+        method: 'POST',
+        headers: this.getHeaders(),
+        body: JSON.stringify(payload),
+        signal
+      });
+
+      for await (const { data } of this.readEventStream(response)) {
+        try {
+          const parsed = JSON.parse(data);
+          const text = this.extractText(parsed);
+          const finishReason = parsed.candidates?.[0]?.finishReason;
+          
+          if (text) {
+            yield {
+              content: text,
+              model: parsed.modelVersion || model,
+              done: false
+            };
+          }
+          
+          if (finishReason) {
+            yield {
+              content: '',
+              model: parsed.modelVersion || model,
+              done: true,
+              finishReason,
+              usage: parsed.usageMetadata
+            };
+          }
+        } catch (parseError) {
+          console.warn('Failed to parse streaming response:', data);
+        }
+      }
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        return;
+      }
+      throw error;
+    }
+  }
+}
+
+// Whether a reply stopped because it reached maxTokens
+function isTruncated(finishReason) {
+  return TRUNCATED_FINISH_REASONS.has(finishReason);
 }
 
+// Summarize a model entry for pickers, e.g. "3.8 GB · llama · 7B · Q4_0".
+// Ollama /api/tags entries carry size and details; other providers may not.
+function describeModel(model) {
+  const parts = [];
+  
+  if (model.size) {
+    parts.push(`${(model.size / 1024 ** 3).toFixed(1)} GB`);
+  }
+  
+  if (model.details?.family) {
+    parts.push(model.details.family);
+  }
+  
+  if (model.details?.parameter_size) {
+    parts.push(model.details.parameter_size);
+  }
+  
+  if (model.details?.quantization_level) {
+    parts.push(model.details.quantization_level);
+  }
+  
+  if (model.contextSize) {
+    parts.push(`${model.contextSize} ctx`);
+  }
+  
+  return parts.join(' · ');
+}
+
+// Provider classes by name, used when rebuilding from settings
+const PROVIDER_CLASSES = {
+  ollama: OllamaProvider,
+  openai: OpenAIProvider,
+  anthropic: AnthropicProvider,
+  google: GoogleProvider
+};
+
 // Create and export API manager instance
 export const api = new APIManager();
 
@@ -521,7 +1835,10 @@ export {
   OpenAIProvider,
   AnthropicProvider,
   GoogleProvider,
-  APIManager
+  APIManager,
+  APIError,
+  describeModel,
+  isTruncated
 };
 
 export default api;
\ No newline at end of file
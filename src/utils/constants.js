@@ -53,9 +53,56 @@ const API_CONFIG = {
       chat: '/api/chat',
       tags: '/api/tags',
       pull: '/api/pull',
-      delete: '/api/delete'
+      delete: '/api/delete',
+      show: '/api/show',
+      ps: '/api/ps'
     },
-    timeout: 30000
+    timeout: 30000,
+    concurrency: 1 // Local server: one generation at a time
+  },
+  
+  // OpenAI and OpenAI-compatible servers (llama.cpp, vLLM, LM Studio)
+  openai: {
+    baseUrl: 'https://api.openai.com/v1',
+    endpoints: {
+      chat: '/chat/completions',
+      completions: '/completions',
+      models: '/models'
+    },
+    timeout: 60000,
+    concurrency: 4
+  },
+  
+  // Anthropic Messages API
+  anthropic: {
+    baseUrl: 'https://api.anthropic.com/v1',
+    version: '2023-06-01',
+    endpoints: {
+      messages: '/messages',
+      models: '/models'
+    },
+    timeout: 60000,
+    concurrency: 4
+  },
+  
+  // Google Gemini API
+  google: {
+    baseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+    endpoints: {
+      models: '/models',
+      generate: '/models/{model}:generateContent',
+      stream: '/models/{model}:streamGenerateContent'
+    },
+    timeout: 60000,
+    concurrency: 4
+  },
+  
+  // Retry policy for transient failures (429, 5xx, dropped connections)
+  retry: {
+    maxRetries: 2,
+    baseDelay: 1000,
+    maxDelay: 30000,
+    retryStatuses: [408, 429, 500, 502, 503, 504, 529]
   },
   
   // Character formats (SillyTavern compatible)
@@ -82,9 +129,15 @@ const STORAGE_KEYS = {
   // Character data
   characters: 'llmaxx_characters',
   activeCharacter: 'llmaxx_active_character',
+  groups: 'llmaxx_groups',
   
   // Chat history
   chatHistory: 'llmaxx_chat_history',
+  chatArchive: 'llmaxx_chat_archive',
+  chatIndex: 'llmaxx_chat_index',
+  chatSessions: 'llmaxx_chat_sessions',
+  chatBranches: 'llmaxx_chat_branches',
+  chatSettings: 'llmaxx_chat_settings',
   
   // AI configuration
   aiConfig: 'llmaxx_ai_config',
@@ -117,6 +170,16 @@ const DEFAULT_SETTINGS = {
   defaultProvider: 'ollama',
   defaultModel: 'llama2',
   streamResponse: true,
+  temperature: 0.7,
+  topP: 0.9,
+  maxTokens: 2048,
+  contextSize: 4096,
+  
+  // Server settings
+  ollamaUrl: 'http://localhost:11434',
+  requestTimeout: 30,
+  maxRetries: 2,
+  fallbackProviders: '',
   
   // UI settings
   chatWindowOpacity: 0.95,
@@ -129,7 +192,9 @@ const DEFAULT_SETTINGS = {
     toggleApp: 'Ctrl+Shift+L',
     toggleMousePassthrough: 'Ctrl+Shift+M',
     focusChat: 'Ctrl+Shift+C',
-    clearChat: 'Ctrl+Shift+K'
+    clearChat: 'Ctrl+Shift+K',
+    searchChats: 'Ctrl+Shift+F',
+    stopGeneration: 'Escape'
   }
 };
 
@@ -239,6 +304,53 @@ const MESSAGE_TYPES = {
   action: 'action'
 };
 
+// Chat sessions and branches: a character's first session and every
+// session's first branch keep the chat key they had before either existed
+const MAIN_SESSION = {
+  id: 'main',
+  title: 'Chat 1'
+};
+
+const MAIN_BRANCH = {
+  id: 'main',
+  name: 'Main'
+};
+
+// Group chats: a cast of characters in one conversation. Groups share the
+// character namespace, since their chats are stored under the group name.
+const TURN_ORDERS = {
+  roundRobin: {
+    id: 'round-robin',
+    name: 'Round robin',
+    description: 'Members reply in turn, in list order'
+  },
+  natural: {
+    id: 'natural',
+    name: 'Natural',
+    description: 'A member named in the last message replies; otherwise the next in turn'
+  },
+  manual: {
+    id: 'manual',
+    name: 'Manual',
+    description: 'Nobody replies until you pick who speaks'
+  }
+};
+
+const GROUP_TEMPLATE = {
+  name: '',
+  isGroup: true,
+  members: [],
+  turnOrder: TURN_ORDERS.roundRobin.id,
+  createdAt: null
+};
+
+// Request scheduling lanes (lower runs first)
+const REQUEST_PRIORITIES = {
+  interactive: 0,
+  normal: 1,
+  background: 2
+};
+
 // Notification Types
 const NOTIFICATION_TYPES = {
   info: 'info',
@@ -262,12 +374,29 @@ const VALIDATION_PATTERNS = {
   json: /^[\s\S]*\{[\s\S]*\}[\s\S]*$/
 };
 
+// Error types reported by the API layer (APIError.type)
+const ERROR_TYPES = {
+  network: 'network',
+  timeout: 'timeout',
+  auth: 'auth',
+  modelNotFound: 'model_not_found',
+  contextLength: 'context_length',
+  rateLimited: 'rate_limited',
+  cancelled: 'cancelled',
+  api: 'api'
+};
+
 // Error Messages
 const ERROR_MESSAGES = {
   // Network errors
   networkError: 'Network connection failed',
   timeoutError: 'Request timed out',
   apiError: 'API request failed',
+  authError: 'Authentication failed',
+  modelNotFound: 'Model not found',
+  contextLengthExceeded: 'Conversation is too long for the model\'s context window',
+  rateLimited: 'Rate limited by the provider',
+  requestCancelled: 'Request cancelled',
   
   // Character errors
   characterNotFound: 'Character not found',
@@ -310,8 +439,14 @@ export {
   SYSTEM_CATEGORIES,
   EXTENSION_CATEGORIES,
   MESSAGE_TYPES,
+  MAIN_SESSION,
+  MAIN_BRANCH,
+  TURN_ORDERS,
+  GROUP_TEMPLATE,
+  REQUEST_PRIORITIES,
   NOTIFICATION_TYPES,
   VALIDATION_PATTERNS,
+  ERROR_TYPES,
   ERROR_MESSAGES,
   SUCCESS_MESSAGES
 };
\ No newline at end of file
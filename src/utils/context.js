@@ -0,0 +1,99 @@
+// LLMAXX Context Builder
+// Assembles the prompt for a request within the model's context window
+
+import { API_CONFIG } from './constants.js';
+
+// Role markers and separators cost a few tokens per message
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// Rough token count without a tokenizer: about four characters per token
+// for Latin text, while CJK and other non-ASCII characters tend to be a
+// token each. Errs on the high side so the real prompt still fits.
+function estimateTokens(text) {
+  if (!text) return 0;
+
+  let ascii = 0;
+  let other = 0;
+
+  for (const char of text) {
+    if (char.charCodeAt(0) < 128) {
+      ascii++;
+    } else {
+      other++;
+    }
+  }
+
+  return Math.ceil(ascii / 4) + other;
+}
+
+class ContextBuilder {
+  constructor() {
+    // Estimates are cached per message object and redone when its content
+    // changes; callers pass the same object for an unchanged message
+    this.tokenCache = new WeakMap();
+  }
+
+  countMessageTokens(message) {
+    const cached = this.tokenCache.get(message);
+    if (cached && cached.content === message.content) {
+      return cached.tokens;
+    }
+
+    const tokens = estimateTokens(message.content) + MESSAGE_OVERHEAD_TOKENS;
+    this.tokenCache.set(message, { content: message.content, tokens });
+    return tokens;
+  }
+
+  // Room left for the prompt once the response is reserved. A response
+  // reserve larger than the window would leave nothing, so it is capped
+  // at half the window.
+  getBudget({ contextSize, maxTokens } = {}) {
+    const size = contextSize || API_CONFIG.defaultModel.contextSize;
+    const reserve = Math.min(maxTokens || API_CONFIG.defaultModel.maxTokens, Math.floor(size / 2));
+
+    return { contextSize: size, reserve, budget: size - reserve };
+  }
+
+  // Fill the budget with system messages first, then history newest-first.
+  // History stops at the first message that does not fit so the model never
+  // sees a conversation with holes in it; the latest message is always sent.
+  build({ system = [], history = [], contextSize, maxTokens } = {}) {
+    const { budget, reserve } = this.getBudget({ contextSize, maxTokens });
+
+    let tokens = system.reduce((sum, message) => sum + this.countMessageTokens(message), 0);
+    const included = [];
+
+    for (let i = history.length - 1; i >= 0; i--) {
+      const messageTokens = this.countMessageTokens(history[i]);
+
+      if (included.length > 0 && tokens + messageTokens > budget) {
+        break;
+      }
+
+      tokens += messageTokens;
+      included.unshift(history[i]);
+    }
+
+    return {
+      messages: [...system, ...included],
+      stats: {
+        includedMessages: included.length,
+        totalMessages: history.length,
+        tokens,
+        budget,
+        reserve,
+        overBudget: tokens > budget
+      }
+    };
+  }
+}
+
+// Create and export context builder instance
+export const contextBuilder = new ContextBuilder();
+
+export {
+  ContextBuilder,
+  estimateTokens
+};
+
+export default contextBuilder;
@@ -0,0 +1,53 @@
+// LLMAXX File Utility
+// Saves generated text to disk; in Electron a download opens the native Save dialog
+
+const LANGUAGE_EXTENSIONS = {
+  javascript: 'js', js: 'js', jsx: 'jsx', mjs: 'mjs', cjs: 'cjs',
+  typescript: 'ts', ts: 'ts', tsx: 'tsx',
+  python: 'py', python3: 'py', py: 'py',
+  c: 'c', h: 'h', cpp: 'cpp', 'c++': 'cpp', cc: 'cpp', hpp: 'hpp',
+  java: 'java', cs: 'cs', csharp: 'cs', go: 'go', golang: 'go', rust: 'rs', rs: 'rs',
+  kotlin: 'kt', kt: 'kt', swift: 'swift', php: 'php', dart: 'dart', scala: 'scala', ruby: 'rb', rb: 'rb',
+  sh: 'sh', bash: 'sh', shell: 'sh', zsh: 'sh', powershell: 'ps1', ps1: 'ps1',
+  sql: 'sql', json: 'json', jsonc: 'json', yaml: 'yaml', yml: 'yml', toml: 'toml', ini: 'ini',
+  css: 'css', scss: 'scss', less: 'less', html: 'html', xml: 'xml', svg: 'svg', vue: 'vue',
+  markdown: 'md', md: 'md', dockerfile: 'Dockerfile', makefile: 'Makefile'
+};
+
+class FileManager {
+  // File extension for a code fence language; unknown languages save as .txt
+  getExtension(language) {
+    return LANGUAGE_EXTENSIONS[String(language || '').toLowerCase()] || 'txt';
+  }
+
+  getCodeFilename(language, baseName = 'snippet') {
+    const extension = this.getExtension(language);
+    // Dockerfile and Makefile are whole file names, not extensions
+    return /^[A-Z]/.test(extension) ? extension : `${baseName}.${extension}`;
+  }
+
+  saveTextFile(filename, content, mimeType = 'text/plain') {
+    const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the download a moment to start before releasing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+}
+
+// Create and export file manager instance
+export const fileManager = new FileManager();
+
+export {
+  FileManager
+};
+
+export default fileManager;
@@ -0,0 +1,286 @@
+// LLMAXX Syntax Highlighter
+// Small rule-based tokenizer for the languages that show up in chat code blocks
+
+const JS_KEYWORDS = [
+  'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default',
+  'delete', 'do', 'else', 'export', 'extends', 'finally', 'for', 'from', 'function', 'get', 'if',
+  'import', 'in', 'instanceof', 'let', 'new', 'of', 'return', 'set', 'static', 'super', 'switch',
+  'this', 'throw', 'try', 'typeof', 'var', 'void', 'while', 'with', 'yield',
+  // TypeScript
+  'abstract', 'as', 'declare', 'enum', 'implements', 'interface', 'keyof', 'namespace', 'private',
+  'protected', 'public', 'readonly', 'type'
+];
+
+const PYTHON_KEYWORDS = [
+  'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del', 'elif', 'else',
+  'except', 'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is', 'lambda', 'match', 'case',
+  'nonlocal', 'not', 'or', 'pass', 'raise', 'return', 'try', 'while', 'with', 'yield', 'self'
+];
+
+const C_KEYWORDS = [
+  'auto', 'break', 'case', 'catch', 'char', 'class', 'const', 'continue', 'default', 'delete', 'do',
+  'double', 'else', 'enum', 'extern', 'final', 'float', 'for', 'goto', 'if', 'import', 'include',
+  'int', 'interface', 'long', 'namespace', 'new', 'override', 'package', 'private', 'protected',
+  'public', 'return', 'short', 'signed', 'sizeof', 'static', 'struct', 'switch', 'template', 'this',
+  'throw', 'throws', 'try', 'typedef', 'union', 'unsigned', 'using', 'virtual', 'void', 'volatile',
+  'while', 'boolean', 'byte', 'extends', 'implements', 'instanceof', 'abstract', 'synchronized',
+  // C#
+  'async', 'await', 'var', 'string', 'bool', 'object', 'readonly', 'sealed', 'base', 'is', 'in', 'out', 'ref',
+  // Go
+  'chan', 'defer', 'fallthrough', 'func', 'go', 'map', 'range', 'select', 'type',
+  // Rust
+  'as', 'crate', 'dyn', 'fn', 'impl', 'let', 'loop', 'match', 'mod', 'move', 'mut', 'pub', 'self',
+  'Self', 'trait', 'unsafe', 'use', 'where',
+  // Kotlin / Swift
+  'fun', 'val', 'when', 'guard', 'init', 'let', 'protocol', 'extension', 'func'
+];
+
+const SHELL_KEYWORDS = [
+  'if', 'then', 'else', 'elif', 'fi', 'for', 'while', 'until', 'do', 'done', 'case', 'esac', 'in',
+  'function', 'return', 'local', 'export', 'select', 'break', 'continue'
+];
+
+const SQL_KEYWORDS = [
+  'select', 'from', 'where', 'and', 'or', 'not', 'insert', 'into', 'values', 'update', 'set', 'delete',
+  'create', 'table', 'drop', 'alter', 'add', 'index', 'primary', 'key', 'foreign', 'references', 'join',
+  'inner', 'left', 'right', 'outer', 'full', 'on', 'as', 'group', 'by', 'order', 'having', 'limit',
+  'offset', 'distinct', 'union', 'all', 'case', 'when', 'then', 'else', 'end', 'in', 'is', 'like',
+  'between', 'exists', 'default', 'unique', 'view', 'with', 'asc', 'desc', 'returning', 'begin', 'commit'
+];
+
+const LITERALS = ['true', 'false', 'null', 'undefined', 'None', 'True', 'False', 'nil', 'NaN', 'Infinity'];
+
+const NUMBER = /(?:0x[\da-fA-F_]+|0b[01_]+|\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?)[a-zA-Z]*/y;
+const IDENTIFIER = /[A-Za-z_$][\w$]*/y;
+const DOUBLE_STRING = /"(?:[^"\\\n]|\\.)*"?/y;
+const SINGLE_STRING = /'(?:[^'\\\n]|\\.)*'?/y;
+
+// Each language is an ordered list of [token type, sticky regex] rules plus
+// the keyword set used to classify identifiers
+const LANGUAGES = {
+  javascript: {
+    keywords: JS_KEYWORDS,
+    rules: [
+      ['comment', /\/\/[^\n]*/y],
+      ['comment', /\/\*[\s\S]*?(?:\*\/|$)/y],
+      ['string', /`(?:[^`\\]|\\[\s\S])*`?/y],
+      ['string', DOUBLE_STRING],
+      ['string', SINGLE_STRING]
+    ]
+  },
+  python: {
+    keywords: PYTHON_KEYWORDS,
+    rules: [
+      ['comment', /#[^\n]*/y],
+      ['string', /[rbfu]{0,2}"""[\s\S]*?(?:"""|$)/iy],
+      ['string', /[rbfu]{0,2}'''[\s\S]*?(?:'''|$)/iy],
+      ['string', /[rbfu]{0,2}"(?:[^"\\\n]|\\.)*"?/iy],
+      ['string', /[rbfu]{0,2}'(?:[^'\\\n]|\\.)*'?/iy],
+      ['keyword', /@[\w.]+/y]
+    ]
+  },
+  c: {
+    keywords: C_KEYWORDS,
+    rules: [
+      ['comment', /\/\/[^\n]*/y],
+      ['comment', /\/\*[\s\S]*?(?:\*\/|$)/y],
+      ['keyword', /#\s*\w+/y],
+      ['string', DOUBLE_STRING],
+      ['string', /'(?:[^'\\\n]|\\.){0,8}'/y],
+      ['string', /`[^`]*`?/y]
+    ]
+  },
+  shell: {
+    keywords: SHELL_KEYWORDS,
+    rules: [
+      ['comment', /#[^\n]*/y],
+      ['string', DOUBLE_STRING],
+      ['string', /'[^']*'?/y],
+      ['variable', /\$(?:\{[^}\n]*\}?|\w+|[@#?$!*0-9])/y]
+    ]
+  },
+  sql: {
+    keywords: SQL_KEYWORDS,
+    caseInsensitive: true,
+    rules: [
+      ['comment', /--[^\n]*/y],
+      ['comment', /\/\*[\s\S]*?(?:\*\/|$)/y],
+      ['string', /'(?:[^']|'')*'?/y],
+      ['property', /"[^"\n]*"?/y]
+    ]
+  },
+  json: {
+    keywords: [],
+    rules: [
+      ['property', /"(?:[^"\\\n]|\\.)*"(?=\s*:)/y],
+      ['string', DOUBLE_STRING]
+    ]
+  },
+  yaml: {
+    keywords: [],
+    rules: [
+      ['comment', /#[^\n]*/y],
+      ['property', /[\w.-]+(?=:(?:\s|$))/y],
+      ['string', DOUBLE_STRING],
+      ['string', SINGLE_STRING]
+    ]
+  },
+  css: {
+    keywords: ['important'],
+    rules: [
+      ['comment', /\/\*[\s\S]*?(?:\*\/|$)/y],
+      ['keyword', /@[\w-]+/y],
+      ['string', DOUBLE_STRING],
+      ['string', SINGLE_STRING],
+      ['number', /#[\da-fA-F]{3,8}\b/y],
+      ['property', /[\w-]+(?=\s*:[^:])/y],
+      ['number', /-?\d*\.?\d+(?:px|em|rem|%|vh|vw|s|ms|deg|fr)?/y]
+    ]
+  },
+  markup: {
+    keywords: [],
+    rules: [
+      ['comment', /<!--[\s\S]*?(?:-->|$)/y],
+      ['tag', /<\/?[\w:-]+|\/?>/y],
+      ['attr', /[\w:-]+(?==)/y],
+      ['string', DOUBLE_STRING],
+      ['string', SINGLE_STRING]
+    ]
+  }
+};
+
+const ALIASES = {
+  js: 'javascript', javascript: 'javascript', jsx: 'javascript', mjs: 'javascript', cjs: 'javascript',
+  ts: 'javascript', typescript: 'javascript', tsx: 'javascript',
+  py: 'python', python: 'python', python3: 'python',
+  c: 'c', h: 'c', cpp: 'c', 'c++': 'c', cc: 'c', hpp: 'c', java: 'c', cs: 'c', csharp: 'c',
+  go: 'c', golang: 'c', rust: 'c', rs: 'c', kotlin: 'c', kt: 'c', swift: 'c', php: 'c', dart: 'c', scala: 'c',
+  sh: 'shell', bash: 'shell', shell: 'shell', zsh: 'shell', console: 'shell', powershell: 'shell', ps1: 'shell',
+  sql: 'sql', postgres: 'sql', mysql: 'sql', sqlite: 'sql',
+  json: 'json', jsonc: 'json', json5: 'json',
+  yaml: 'yaml', yml: 'yaml', toml: 'yaml', ini: 'yaml',
+  css: 'css', scss: 'css', less: 'css',
+  html: 'markup', xml: 'markup', svg: 'markup', vue: 'markup', xhtml: 'markup'
+};
+
+class SyntaxHighlighter {
+  constructor() {
+    this.keywordSets = new Map();
+  }
+
+  resolveLanguage(language) {
+    return ALIASES[String(language || '').toLowerCase()] || null;
+  }
+
+  getKeywordSet(name) {
+    if (!this.keywordSets.has(name)) {
+      const language = LANGUAGES[name];
+      const words = language.caseInsensitive
+        ? language.keywords.map(word => word.toLowerCase())
+        : language.keywords;
+      this.keywordSets.set(name, new Set(words));
+    }
+    return this.keywordSets.get(name);
+  }
+
+  // Split code into [{ type, text }] tokens; type is null for plain text.
+  // Unknown languages come back as a single plain token.
+  tokenize(code, language) {
+    const name = this.resolveLanguage(language);
+    if (!name) return [{ type: null, text: code }];
+
+    const definition = LANGUAGES[name];
+    const keywords = this.getKeywordSet(name);
+    const tokens = [];
+    let plain = '';
+    let position = 0;
+
+    const matchAt = (regex) => {
+      regex.lastIndex = position;
+      const match = regex.exec(code);
+      return match && match[0] ? match[0] : null;
+    };
+
+    while (position < code.length) {
+      let matched = null;
+
+      for (const [type, regex] of definition.rules) {
+        const text = matchAt(regex);
+        if (text) {
+          matched = { type, text };
+          break;
+        }
+      }
+
+      if (!matched) {
+        const word = matchAt(IDENTIFIER);
+        if (word) {
+          matched = { type: this.classifyWord(word, definition, keywords, code.slice(position + word.length)), text: word };
+        }
+      }
+
+      if (!matched) {
+        const number = matchAt(NUMBER);
+        if (number) {
+          matched = { type: 'number', text: number };
+        }
+      }
+
+      if (!matched) {
+        plain += code[position];
+        position++;
+        continue;
+      }
+
+      if (matched.type) {
+        if (plain) {
+          tokens.push({ type: null, text: plain });
+          plain = '';
+        }
+        tokens.push(matched);
+      } else {
+        plain += matched.text;
+      }
+      position += matched.text.length;
+    }
+
+    if (plain) {
+      tokens.push({ type: null, text: plain });
+    }
+
+    return tokens;
+  }
+
+  classifyWord(word, definition, keywords, rest) {
+    const key = definition.caseInsensitive ? word.toLowerCase() : word;
+
+    if (keywords.has(key)) return 'keyword';
+    if (LITERALS.includes(word)) return 'literal';
+    if (/^\s*\(/.test(rest.slice(0, 8))) return 'function';
+    return null;
+  }
+
+  // Group tokens into lines so every line can be wrapped on its own; tokens
+  // that span lines (block comments, multi-line strings) are split at newlines
+  tokenizeLines(code, language) {
+    const lines = [[]];
+
+    for (const token of this.tokenize(code, language)) {
+      token.text.split('\n').forEach((part, index) => {
+        if (index > 0) lines.push([]);
+        if (part) lines[lines.length - 1].push({ type: token.type, text: part });
+      });
+    }
+
+    return lines;
+  }
+}
+
+// Create and export highlighter instance
+export const highlighter = new SyntaxHighlighter();
+
+export {
+  SyntaxHighlighter
+};
+
+export default highlighter;
@@ -0,0 +1,478 @@
+// LLMAXX Markdown Renderer
+// Renders chat message Markdown to HTML and sanitizes the result against an allow-list
+
+import { highlighter } from './highlight.js';
+
+// Tags that survive sanitizing, with the attributes each may keep
+const ALLOWED_TAGS = {
+  a: ['href', 'title'],
+  abbr: ['title'],
+  b: [],
+  blockquote: [],
+  br: [],
+  code: ['class'],
+  del: [],
+  em: [],
+  h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+  hr: [],
+  i: [],
+  kbd: [],
+  li: [],
+  mark: [],
+  ol: ['start'],
+  p: [],
+  pre: ['class'],
+  q: [],
+  s: [],
+  small: [],
+  span: ['class'],
+  strong: [],
+  sub: [],
+  sup: [],
+  table: [],
+  tbody: [],
+  td: ['class'],
+  th: ['class'],
+  thead: [],
+  tr: [],
+  u: [],
+  ul: []
+};
+
+// Dropped together with everything inside them
+const DROPPED_TAGS = new Set([
+  'script', 'style', 'iframe', 'object', 'embed', 'noscript', 'template',
+  'svg', 'math', 'textarea', 'select', 'title', 'head', 'link', 'meta', 'frame', 'frameset'
+]);
+
+// Only classes the renderer itself emits
+const ALLOWED_CLASS = /^(language-[\w+#-]+|align-(left|center|right)|md-[\w-]+|hl-[\w-]+)$/;
+
+// Inline HTML that may appear in messages; it is still run through the sanitizer
+const INLINE_HTML_TAG = /<\/?(b|i|u|s|em|strong|del|sub|sup|br|span|small|mark|kbd|q|abbr)(\s[^<>]*)?\/?>/gi;
+
+const LIST_ITEM = /^( *)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([\w+#.-]*).*$/;
+const HEADING = /^ {0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE = /^ {0,3}([-*_])(\s*\1){2,}\s*$/;
+const QUOTE = /^ {0,3}>/;
+
+const PLACEHOLDER = /\u0000(\d+)\u0000/g;
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function isSafeUrl(url) {
+  const value = String(url || '').trim();
+  return /^(https?:|mailto:)/i.test(value) || value.startsWith('#');
+}
+
+// Walk a parsed fragment and keep only allow-listed tags, attributes,
+// classes and link targets. Unknown tags are unwrapped, keeping their text.
+function sanitizeHtml(html) {
+  if (typeof document === 'undefined') return html;
+
+  const template = document.createElement('template');
+  template.innerHTML = html;
+  sanitizeNode(template.content);
+  return template.innerHTML;
+}
+
+function sanitizeNode(parent) {
+  for (const node of [...parent.childNodes]) {
+    if (node.nodeType === Node.TEXT_NODE) continue;
+
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      node.remove();
+      continue;
+    }
+
+    const tag = node.tagName.toLowerCase();
+
+    if (DROPPED_TAGS.has(tag)) {
+      node.remove();
+      continue;
+    }
+
+    sanitizeNode(node);
+
+    if (!ALLOWED_TAGS[tag]) {
+      node.replaceWith(...node.childNodes);
+      continue;
+    }
+
+    for (const attribute of [...node.attributes]) {
+      if (!ALLOWED_TAGS[tag].includes(attribute.name)) {
+        node.removeAttribute(attribute.name);
+      }
+    }
+
+    if (node.hasAttribute('class')) {
+      const classes = node.getAttribute('class').split(/\s+/).filter(name => ALLOWED_CLASS.test(name));
+      if (classes.length) {
+        node.setAttribute('class', classes.join(' '));
+      } else {
+        node.removeAttribute('class');
+      }
+    }
+
+    if (tag === 'a') {
+      if (isSafeUrl(node.getAttribute('href'))) {
+        // Opened in the system browser by the main process
+        node.setAttribute('target', '_blank');
+        node.setAttribute('rel', 'noopener noreferrer');
+      } else {
+        node.removeAttribute('href');
+      }
+    }
+  }
+}
+
+class MarkdownRenderer {
+  // partial: the text is still streaming in, so unterminated code fences
+  // render as code and open inline markers in the last block are closed
+  // instead of flashing as literal characters
+  render(text, { partial = false } = {}) {
+    const source = String(text ?? '').replace(/\r\n?/g, '\n').replace(/\u0000/g, '');
+    const html = this.renderBlocks(source.split('\n'), { partial });
+    return sanitizeHtml(html);
+  }
+
+  renderBlocks(lines, options = {}) {
+    const blocks = [];
+    let i = 0;
+
+    while (i < lines.length) {
+      const line = lines[i];
+
+      if (!line.trim()) {
+        i++;
+        continue;
+      }
+
+      // Fenced code
+      const fence = line.match(FENCE);
+      if (fence) {
+        const marker = fence[1];
+        const body = [];
+        i++;
+
+        // An unterminated fence runs to the end, which is what a streaming
+        // reply looks like until the closing fence arrives
+        while (i < lines.length) {
+          const trimmed = lines[i].trim();
+          if (trimmed.startsWith(marker) && /^(`{3,}|~{3,})$/.test(trimmed)) {
+            i++;
+            break;
+          }
+          body.push(lines[i]);
+          i++;
+        }
+
+        blocks.push(this.renderCodeBlock(body.join('\n'), fence[2]));
+        continue;
+      }
+
+      // Headings
+      const heading = line.match(HEADING);
+      if (heading) {
+        const level = heading[1].length;
+        blocks.push(`<h${level}>${this.renderInline(heading[2])}</h${level}>`);
+        i++;
+        continue;
+      }
+
+      // Horizontal rules
+      if (RULE.test(line)) {
+        blocks.push('<hr>');
+        i++;
+        continue;
+      }
+
+      // Blockquotes
+      if (QUOTE.test(line)) {
+        const quoted = [];
+        while (i < lines.length && QUOTE.test(lines[i])) {
+          quoted.push(lines[i].replace(/^ {0,3}> ?/, ''));
+          i++;
+        }
+        const isLast = i >= lines.length;
+        blocks.push(`<blockquote>${this.renderBlocks(quoted, { partial: options.partial && isLast })}</blockquote>`);
+        continue;
+      }
+
+      // Tables
+      if (this.isTableStart(lines, i)) {
+        i = this.renderTable(lines, i, blocks);
+        continue;
+      }
+
+      // Lists
+      if (LIST_ITEM.test(line)) {
+        i = this.renderList(lines, i, blocks, options);
+        continue;
+      }
+
+      // Paragraph: runs until a blank line or the start of another block
+      const paragraph = [];
+      while (i < lines.length && lines[i].trim() && !(paragraph.length && this.startsBlock(lines, i))) {
+        paragraph.push(lines[i]);
+        i++;
+      }
+
+      const isLast = i >= lines.length;
+      blocks.push(`<p>${this.renderInline(paragraph.join('\n'), { partial: options.partial && isLast })}</p>`);
+    }
+
+    return blocks.join('');
+  }
+
+  startsBlock(lines, i) {
+    const line = lines[i];
+    const item = line.match(LIST_ITEM);
+
+    // Only "1." may interrupt a paragraph, so prose like "in\n1990. It" stays prose
+    return FENCE.test(line) ||
+      HEADING.test(line) ||
+      RULE.test(line) ||
+      QUOTE.test(line) ||
+      Boolean(item && (!/\d/.test(item[2]) || parseInt(item[2], 10) === 1)) ||
+      this.isTableStart(lines, i);
+  }
+
+  // Highlighted code, one span per line so CSS can number the lines
+  renderCodeBlock(code, language = '') {
+    const languageClass = language ? ` class="language-${escapeHtml(language.toLowerCase())}"` : '';
+
+    const lines = highlighter.tokenizeLines(code, language).map(tokens => {
+      const html = tokens.map(token => token.type
+        ? `<span class="hl-${token.type}">${escapeHtml(token.text)}</span>`
+        : escapeHtml(token.text)
+      ).join('');
+      return `<span class="md-code-line">${html}</span>`;
+    });
+
+    return `<pre class="md-code-block"><code${languageClass}>${lines.join('\n')}</code></pre>`;
+  }
+
+  renderList(lines, start, blocks, options) {
+    const first = lines[start].match(LIST_ITEM);
+    const indent = first[1].length;
+    const ordered = /\d/.test(first[2]);
+    const items = [];
+    let i = start;
+
+    while (i < lines.length) {
+      const line = lines[i];
+      const item = line.match(LIST_ITEM);
+
+      if (item && item[1].length === indent && /\d/.test(item[2]) === ordered) {
+        items.push({ lines: [item[3]], contentIndent: indent + item[2].length + 1 });
+        i++;
+        continue;
+      }
+
+      const current = items[items.length - 1];
+      const leading = line.match(/^ */)[0].length;
+
+      // Continuation lines and nested lists are indented past the marker
+      if (line.trim() && leading > indent) {
+        current.lines.push(line.slice(Math.min(leading, current.contentIndent)));
+        i++;
+        continue;
+      }
+
+      // A blank line only continues the list if more of it follows
+      if (!line.trim() && i + 1 < lines.length) {
+        const next = lines[i + 1];
+        const nextItem = next.match(LIST_ITEM);
+        const nextLeading = next.match(/^ */)[0].length;
+
+        const sameList = nextItem && nextItem[1].length === indent && /\d/.test(nextItem[2]) === ordered;
+
+        if (sameList || (next.trim() && nextLeading > indent)) {
+          current.lines.push('');
+          i++;
+          continue;
+        }
+      }
+
+      break;
+    }
+
+    const isLast = i >= lines.length;
+    const tag = ordered ? 'ol' : 'ul';
+    const startNumber = ordered ? parseInt(first[2], 10) : 1;
+    const startAttribute = startNumber !== 1 ? ` start="${startNumber}"` : '';
+
+    const rendered = items.map((item, index) => {
+      const partial = options.partial && isLast && index === items.length - 1;
+
+      // Tight items stay inline; anything with structure goes through the block renderer
+      const content = item.lines.length === 1
+        ? this.renderInline(item.lines[0], { partial })
+        : this.renderBlocks(item.lines, { partial });
+
+      return `<li>${content}</li>`;
+    });
+
+    blocks.push(`<${tag}${startAttribute}>${rendered.join('')}</${tag}>`);
+    return i;
+  }
+
+  isTableStart(lines, i) {
+    return lines[i].includes('|') &&
+      i + 1 < lines.length &&
+      /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(lines[i + 1]) &&
+      lines[i + 1].includes('|');
+  }
+
+  splitTableRow(line) {
+    return line
+      .trim()
+      .replace(/^\|/, '')
+      .replace(/(?<!\\)\|$/, '')
+      .split(/(?<!\\)\|/)
+      .map(cell => cell.trim());
+  }
+
+  renderTable(lines, start, blocks) {
+    const header = this.splitTableRow(lines[start]);
+    const alignments = this.splitTableRow(lines[start + 1]).map(cell => {
+      if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+      if (cell.endsWith(':')) return 'right';
+      if (cell.startsWith(':')) return 'left';
+      return null;
+    });
+
+    const renderCell = (tag, cell, column) => {
+      const align = alignments[column] ? ` class="align-${alignments[column]}"` : '';
+      return `<${tag}${align}>${this.renderInline(cell)}</${tag}>`;
+    };
+
+    let i = start + 2;
+    const rows = [];
+
+    while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+      const cells = this.splitTableRow(lines[i]);
+      rows.push(`<tr>${header.map((_, column) => renderCell('td', cells[column] || '', column)).join('')}</tr>`);
+      i++;
+    }
+
+    blocks.push(
+      '<table>' +
+      `<thead><tr>${header.map((cell, column) => renderCell('th', cell, column)).join('')}</tr></thead>` +
+      `<tbody>${rows.join('')}</tbody>` +
+      '</table>'
+    );
+    return i;
+  }
+
+  // Inline spans. Code, escapes, links and allowed HTML are swapped for
+  // placeholders first so the emphasis rules never reach inside them.
+  renderInline(text, { partial = false } = {}) {
+    const held = [];
+    const hold = (html) => `\u0000${held.push(html) - 1}\u0000`;
+
+    let source = partial ? this.closeOpenMarkers(text) : text;
+
+    // Code spans
+    source = source.replace(/(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) =>
+      hold(`<code>${escapeHtml(code.trim())}</code>`)
+    );
+
+    // Backslash escapes
+    source = source.replace(/\\([\\`*_{}[\]()#+\-.!|~<>])/g, (match, char) => hold(escapeHtml(char)));
+
+    // Autolinks in angle brackets
+    source = source.replace(/<((?:https?:\/\/|mailto:)[^\s<>]+)>/gi, (match, url) =>
+      hold(this.renderLink(url, escapeHtml(url)))
+    );
+
+    // Allowed inline HTML, kept for the sanitizer to vet
+    source = source.replace(INLINE_HTML_TAG, (match) => hold(match));
+
+    // Links; images become links so remote content is never loaded
+    source = source.replace(/(!?)\[([^\]]*)\]\(\s*<?((?:[^\s<>()]|\([^\s<>()]*\))+)>?(?:\s+"([^"]*)")?\s*\)/g, (match, bang, label, url, title) =>
+      hold(this.renderLink(url, this.formatEmphasis(escapeHtml(label || url)), title))
+    );
+
+    // Bare URLs
+    source = source.replace(/\bhttps?:\/\/[^\s<]*[^\s<.,:;"')\]!?*_~]/gi, (url) =>
+      hold(this.renderLink(url, escapeHtml(url)))
+    );
+
+    let html = this.formatEmphasis(escapeHtml(source)).replace(/\n/g, '<br>');
+
+    // Placeholders can nest (a link label holding code), so restore until stable
+    while (html.includes('\u0000')) {
+      html = html.replace(PLACEHOLDER, (match, index) => held[Number(index)]);
+    }
+
+    return html;
+  }
+
+  renderLink(url, labelHtml, title = '') {
+    if (!isSafeUrl(url)) {
+      return labelHtml;
+    }
+    const titleAttribute = title ? ` title="${escapeHtml(title)}"` : '';
+    return `<a href="${escapeHtml(url)}"${titleAttribute}>${labelHtml}</a>`;
+  }
+
+  formatEmphasis(html) {
+    return html
+      .replace(/\*\*\*(?=\S)([\s\S]*?\S)\*\*\*/g, '<strong><em>$1</em></strong>')
+      .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+      .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+      .replace(/\*(?=[^\s*])([\s\S]*?[^\s*])\*/g, '<em>$1</em>')
+      .replace(/(^|[^\w])_(?=[^\s_])([\s\S]*?[^\s_])_(?!\w)/g, '$1<em>$2</em>')
+      .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+  }
+
+  // Close markers the stream has opened but not yet closed, so "**bol"
+  // already renders bold rather than flipping once the "**" arrives
+  closeOpenMarkers(text) {
+    let closers = '';
+
+    const ticks = (text.match(/`/g) || []).length;
+    if (ticks % 2) {
+      return `${text}\``;
+    }
+
+    const withoutCode = text.replace(/`[^`]*`/g, '');
+    const count = (pattern) => (withoutCode.match(pattern) || []).length;
+
+    if (count(/~~/g) % 2) closers = `~~${closers}`;
+
+    const bold = count(/\*\*/g);
+    const single = count(/\*/g) - bold * 2;
+    if (single % 2) closers = `*${closers}`;
+    if (bold % 2) closers = `**${closers}`;
+
+    // A marker with nothing after it yet is hidden until its text arrives
+    if (closers && /[*~]\s*$/.test(text)) {
+      return this.closeOpenMarkers(text.replace(/[*~]+\s*$/, ''));
+    }
+
+    return `${text.replace(/\s+$/, '')}${closers}`;
+  }
+}
+
+// Create and export markdown renderer instance
+export const markdown = new MarkdownRenderer();
+
+export {
+  MarkdownRenderer,
+  sanitizeHtml,
+  escapeHtml,
+  isSafeUrl
+};
+
+export default markdown;
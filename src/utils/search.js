@@ -0,0 +1,259 @@
+// LLMAXX Search Index
+// In-memory full-text index over every saved chat message
+
+const WORD = /[\p{L}\p{N}_]+/gu;
+const SNIPPET_RADIUS = 70;
+
+function tokenize(text) {
+  return String(text || '').toLowerCase().match(WORD) || [];
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Whole words starting with any of the terms, the same way the index
+// matches them; used for snippets and for highlighting the opened message
+function createTermPattern(terms) {
+  if (!terms.length) return null;
+
+  const alternatives = [...terms]
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegex)
+    .join('|');
+  return new RegExp(`(?<![\\p{L}\\p{N}_])(?:${alternatives})[\\p{L}\\p{N}_]*`, 'giu');
+}
+
+class SearchIndex {
+  constructor() {
+    this.storage = null;
+    this.unsubscribe = null;
+
+    this.documents = new Map(); // document key -> message summary
+    this.terms = new Map();     // term -> Set of document keys
+    this.chats = new Map();     // chat name -> Set of document keys
+
+    this.building = null;
+    this.ready = false;
+  }
+
+  // Follow a ChatStorage. The index is built on the first search and then
+  // kept current from the storage's change notifications.
+  attach(storage) {
+    this.unsubscribe?.();
+    this.storage = storage;
+    this.reset();
+    this.unsubscribe = storage.subscribe(change => this.applyChange(change));
+  }
+
+  reset() {
+    this.documents.clear();
+    this.terms.clear();
+    this.chats.clear();
+    this.building = null;
+    this.ready = false;
+  }
+
+  async ensureBuilt() {
+    if (this.ready) return;
+
+    if (!this.building) {
+      this.building = (async () => {
+        for (const chatName of await this.storage.getChatNames()) {
+          const archived = await this.storage.getArchivedMessages(chatName);
+          archived.forEach(message => this.addDocument(chatName, message, { archived: true }));
+
+          const messages = await this.storage.getChatHistory(chatName);
+          messages.forEach(message => this.addDocument(chatName, message));
+        }
+        this.ready = true;
+      })();
+    }
+
+    await this.building;
+  }
+
+  // Changes before the first build are skipped; the build reads storage as
+  // it is by then
+  applyChange(change) {
+    if (!this.building) return;
+
+    switch (change.type) {
+      case 'add':
+      case 'update':
+        this.addDocument(change.chatName, change.message);
+        break;
+      case 'delete':
+        this.removeDocument(this.getDocumentKey(change.chatName, change.messageId));
+        break;
+      case 'reset':
+        this.removeChat(change.chatName, { keepArchived: true });
+        change.messages.forEach(message => this.addDocument(change.chatName, message));
+        break;
+      case 'archive':
+        change.messages.forEach(message => this.addDocument(change.chatName, message, { archived: true }));
+        break;
+      case 'clear':
+        if (change.chatName) {
+          this.removeChat(change.chatName);
+        } else {
+          this.documents.clear();
+          this.terms.clear();
+          this.chats.clear();
+        }
+        break;
+    }
+  }
+
+  getDocumentKey(chatName, messageId) {
+    return `${chatName}\u0000${messageId}`;
+  }
+
+  // Archived messages stay searchable; they are flagged so results can say so
+  addDocument(chatName, message, { archived = false } = {}) {
+    if (!message?.id) return;
+
+    const key = this.getDocumentKey(chatName, message.id);
+    this.removeDocument(key);
+
+    const terms = new Set(tokenize(message.content));
+    this.documents.set(key, {
+      key,
+      chatName,
+      ...this.storage.parseChatName(chatName),
+      messageId: message.id,
+      type: message.type,
+      timestamp: message.timestamp || 0,
+      content: String(message.content || ''),
+      archived,
+      terms
+    });
+
+    terms.forEach(term => {
+      if (!this.terms.has(term)) this.terms.set(term, new Set());
+      this.terms.get(term).add(key);
+    });
+
+    if (!this.chats.has(chatName)) this.chats.set(chatName, new Set());
+    this.chats.get(chatName).add(key);
+  }
+
+  removeDocument(key) {
+    const document = this.documents.get(key);
+    if (!document) return;
+
+    document.terms.forEach(term => {
+      const keys = this.terms.get(term);
+      keys?.delete(key);
+      if (keys?.size === 0) this.terms.delete(term);
+    });
+
+    this.chats.get(document.chatName)?.delete(key);
+    this.documents.delete(key);
+  }
+
+  removeChat(chatName, { keepArchived = false } = {}) {
+    [...(this.chats.get(chatName) || [])].forEach(key => {
+      if (!keepArchived || !this.documents.get(key)?.archived) {
+        this.removeDocument(key);
+      }
+    });
+    if (!this.chats.get(chatName)?.size) {
+      this.chats.delete(chatName);
+    }
+  }
+
+  // Documents containing a word that starts with the term
+  findTerm(term) {
+    const keys = new Set();
+    for (const [indexed, documents] of this.terms) {
+      if (indexed.startsWith(term)) {
+        documents.forEach(key => keys.add(key));
+      }
+    }
+    return keys;
+  }
+
+  async getCharacterNames() {
+    await this.ensureBuilt();
+    return [...new Set([...this.documents.values()].map(document => document.characterName))].sort();
+  }
+
+  // Every term has to match. Filters: characterName, from/to timestamps and
+  // a list of message types. Branches and duplicated sessions share copies
+  // of the same message; those collapse into one result with a copy count.
+  async search(query, { characterName = null, from = null, to = null, types = null, limit = 50 } = {}) {
+    await this.ensureBuilt();
+
+    const terms = [...new Set(tokenize(query))];
+    if (terms.length === 0) return { terms, results: [], total: 0 };
+
+    const matches = terms
+      .map(term => this.findTerm(term))
+      .sort((a, b) => a.size - b.size);
+
+    const results = new Map();
+    for (const key of matches[0]) {
+      if (!matches.every(keys => keys.has(key))) continue;
+
+      const document = this.documents.get(key);
+      if (characterName && document.characterName !== characterName) continue;
+      if (from && document.timestamp < from) continue;
+      if (to && document.timestamp > to) continue;
+      if (types?.length && !types.includes(document.type)) continue;
+
+      // Prefer the copy on the main session's main branch
+      const copyKey = `${document.characterName}\u0000${document.messageId}\u0000${document.content}`;
+      const existing = results.get(copyKey);
+      if (existing) {
+        existing.copies++;
+        if (document.chatName === document.characterName) {
+          results.set(copyKey, { ...document, copies: existing.copies });
+        }
+      } else {
+        results.set(copyKey, { ...document, copies: 1 });
+      }
+    }
+
+    const sorted = [...results.values()].sort((a, b) => b.timestamp - a.timestamp);
+    return {
+      terms,
+      total: sorted.length,
+      results: sorted.slice(0, limit).map(({ terms: _terms, ...document }) => ({
+        ...document,
+        snippet: this.createSnippet(document.content, terms)
+      }))
+    };
+  }
+
+  // Text around the first match, with [start, end] ranges of every match in it
+  createSnippet(content, terms) {
+    const pattern = createTermPattern(terms);
+    const first = pattern.exec(content);
+    const center = first ? first.index : 0;
+
+    const start = Math.max(0, center - SNIPPET_RADIUS);
+    const end = Math.min(content.length, center + SNIPPET_RADIUS * 2);
+    const prefix = start > 0 ? '…' : '';
+    const text = prefix + content.slice(start, end).replace(/\s+/g, ' ') + (end < content.length ? '…' : '');
+
+    const highlights = [];
+    pattern.lastIndex = 0;
+    for (const match of text.matchAll(pattern)) {
+      highlights.push([match.index, match.index + match[0].length]);
+    }
+
+    return { text, highlights };
+  }
+}
+
+// Create and export search index instance
+export const searchIndex = new SearchIndex();
+
+export {
+  SearchIndex,
+  tokenize,
+  createTermPattern
+};
+
+export default searchIndex;
@@ -2,7 +2,7 @@
 // Handles persistent data storage using Electron's APIs and localStorage
 
 import { ipcRenderer } from 'electron';
-import { STORAGE_KEYS, DEFAULT_SETTINGS } from './constants.js';
+import { STORAGE_KEYS, DEFAULT_SETTINGS, MAIN_SESSION, MAIN_BRANCH } from './constants.js';
 
 class StorageManager {
   constructor() {
@@ -234,7 +234,9 @@ class StorageManager {
 
 class SettingsStorage extends StorageManager {
   async getSettings() {
-    return await this.get(STORAGE_KEYS.appSettings, DEFAULT_SETTINGS);
+    // Fill in defaults for keys added after the settings were first saved
+    const settings = await this.get(STORAGE_KEYS.appSettings, {});
+    return { ...DEFAULT_SETTINGS, ...settings };
   }
 
   async setSettings(settings) {
@@ -248,7 +250,7 @@ class SettingsStorage extends StorageManager {
   }
 
   async resetSettings() {
-    return await this.setSettings(DEFAULT_SETTINGS);
+    return await this.setSettings({ ...DEFAULT_SETTINGS });
   }
 }
 
@@ -294,40 +296,691 @@ class CharacterStorage extends StorageManager {
   }
 }
 
+// Groups list their members by character name, in turn order
+class GroupStorage extends StorageManager {
+  async getGroups() {
+    return await this.get(STORAGE_KEYS.groups, []);
+  }
+
+  async setGroups(groups) {
+    return await this.set(STORAGE_KEYS.groups, groups);
+  }
+
+  async getGroup(name) {
+    const groups = await this.getGroups();
+    return groups.find(group => group.name === name);
+  }
+
+  async saveGroup(group) {
+    const groups = await this.getGroups();
+    const existingIndex = groups.findIndex(g => g.name === group.name);
+
+    if (existingIndex >= 0) {
+      groups[existingIndex] = group;
+    } else {
+      groups.push(group);
+    }
+
+    return await this.setGroups(groups);
+  }
+
+  async deleteGroup(name) {
+    const groups = await this.getGroups();
+    return await this.setGroups(groups.filter(group => group.name !== name));
+  }
+
+  // Character renames and deletes carry over to every group
+  async renameMember(oldName, newName) {
+    const groups = await this.getGroups();
+    groups.forEach(group => {
+      group.members = group.members.map(member => member === oldName ? newName : member);
+    });
+    return await this.setGroups(groups);
+  }
+
+  async removeMember(name) {
+    const groups = await this.getGroups();
+    groups.forEach(group => {
+      group.members = group.members.filter(member => member !== name);
+    });
+    return await this.setGroups(groups);
+  }
+}
+
+// Each chat lives under its own key so editing one conversation never
+// rewrites the others; an index key lists the chats that exist
 class ChatStorage extends StorageManager {
+  constructor() {
+    super();
+    this.migration = null;
+    this.writeQueues = new Map();
+    this.indexQueue = Promise.resolve();
+    this.listeners = new Set();
+    this.historyLimit = DEFAULT_SETTINGS.maxChatHistory;
+  }
+
+  getChatKey(characterName) {
+    return `${STORAGE_KEYS.chatHistory}:${characterName}`;
+  }
+
+  getArchiveKey(characterName) {
+    return `${STORAGE_KEYS.chatArchive}:${characterName}`;
+  }
+
+  // Follow the maxChatHistory setting; a lower limit applies to each chat
+  // the next time it is saved
+  attachEventBus(eventBus) {
+    eventBus.addEventListener('settings-changed', (e) => {
+      this.setHistoryLimit(e.detail?.maxChatHistory);
+    });
+  }
+
+  setHistoryLimit(limit) {
+    const value = parseInt(limit, 10);
+    this.historyLimit = value > 0 ? value : DEFAULT_SETTINGS.maxChatHistory;
+  }
+
+  // Change notifications for modules that mirror chat contents, such as the
+  // search index: add/update carry the message, delete its id, reset the
+  // chat's full history (archived messages are unaffected), archive the
+  // messages that moved to the chat's archive and clear a chat name (null
+  // for everything)
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify(change) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(change);
+      } catch (error) {
+        console.error('Chat change listener failed:', error);
+      }
+    });
+  }
+
+  createMessageId() {
+    return `msg_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  // Older versions kept every chat in one object under chatHistory
+  async migrateLegacyHistory() {
+    if (!this.migration) {
+      this.migration = (async () => {
+        const legacy = await this.get(STORAGE_KEYS.chatHistory, null);
+        if (!legacy || typeof legacy !== 'object' || Array.isArray(legacy)) return;
+
+        for (const [characterName, messages] of Object.entries(legacy)) {
+          await this.set(this.getChatKey(characterName), messages);
+        }
+        await this.set(STORAGE_KEYS.chatIndex, Object.keys(legacy));
+        await this.remove(STORAGE_KEYS.chatHistory);
+      })();
+    }
+    return this.migration;
+  }
+
+  async getChatNames() {
+    await this.migrateLegacyHistory();
+    return await this.get(STORAGE_KEYS.chatIndex, []);
+  }
+
   async getChatHistory(characterName = null) {
-    const allHistory = await this.get(STORAGE_KEYS.chatHistory, {});
-    
+    await this.migrateLegacyHistory();
+
     if (characterName) {
-      return allHistory[characterName] || [];
+      const messages = await this.get(this.getChatKey(characterName), []);
+      
+      // Messages saved before ids existed get one the first time they load
+      if (messages.some(message => !message.id)) {
+        messages.forEach(message => {
+          message.id = message.id || this.createMessageId();
+        });
+        await this.setChatHistory(characterName, messages);
+      }
+      
+      return messages;
     }
     
+    const allHistory = {};
+    for (const name of await this.getChatNames()) {
+      allHistory[name] = await this.get(this.getChatKey(name), []);
+    }
     return allHistory;
   }
 
+  // Run a write after every write queued before it under the same name
+  enqueueWrite(name, write) {
+    const previous = this.writeQueues.get(name) || Promise.resolve();
+    const next = previous.catch(() => {}).then(write);
+
+    this.writeQueues.set(name, next);
+    return next;
+  }
+
+  // Read-modify-write of one chat, serialized per chat so a reply saved
+  // right after the user's message cannot overwrite it
+  updateChat(characterName, update) {
+    return this.enqueueWrite(characterName, async () => {
+      await this.migrateLegacyHistory();
+      const messages = await this.get(this.getChatKey(characterName), []);
+      const result = await update(messages);
+      const archived = await this.archiveOverflow(characterName, messages);
+      
+      await this.addToIndex(characterName);
+      await this.set(this.getChatKey(characterName), messages);
+      if (archived.length > 0) {
+        this.notify({ type: 'archive', chatName: characterName, messages: archived });
+      }
+      return result;
+    });
+  }
+
+  // Messages past the history limit move, oldest first, to the chat's
+  // archive instead of being dropped. The archive is written before the
+  // trimmed chat so a failed write leaves a copy rather than a gap.
+  async archiveOverflow(characterName, messages) {
+    const overflow = messages.length - this.historyLimit;
+    if (overflow <= 0) return [];
+
+    const archived = messages.splice(0, overflow);
+    const archive = await this.get(this.getArchiveKey(characterName), []);
+    await this.set(this.getArchiveKey(characterName), [...archive, ...archived]);
+    return archived;
+  }
+
+  async getArchivedMessages(characterName) {
+    await this.migrateLegacyHistory();
+    return await this.get(this.getArchiveKey(characterName), []);
+  }
+
+  // Branches, copied sessions and renamed chats keep the archive of the
+  // chat they came from
+  async copyArchive(fromName, toName) {
+    const archived = await this.getArchivedMessages(fromName);
+    if (archived.length === 0) return;
+
+    await this.set(this.getArchiveKey(toName), archived);
+    this.notify({ type: 'archive', chatName: toName, messages: archived });
+  }
+
+  // Read-modify-write of the chat index, serialized across all chats so
+  // two chats saved at once cannot drop each other's entry
+  updateIndex(update) {
+    const next = this.indexQueue.catch(() => {}).then(async () => {
+      const names = await this.get(STORAGE_KEYS.chatIndex, []);
+      const updated = update(names);
+      if (!updated) return true;
+      return await this.set(STORAGE_KEYS.chatIndex, updated);
+    });
+
+    this.indexQueue = next;
+    return next;
+  }
+
+  async addToIndex(characterName) {
+    await this.updateIndex(names => (
+      names.includes(characterName) ? null : [...names, characterName]
+    ));
+  }
+
+  async setChatHistory(characterName, messages) {
+    const stored = await this.updateChat(characterName, (stored) => {
+      stored.splice(0, stored.length, ...messages);
+      return stored;
+    });
+    this.notify({ type: 'reset', chatName: characterName, messages: stored });
+    return true;
+  }
+
   async saveMessage(characterName, message) {
-    const allHistory = await this.getChatHistory();
-    
-    if (!allHistory[characterName]) {
-      allHistory[characterName] = [];
-    }
-    
-    allHistory[characterName].push({
+    const saved = {
       ...message,
+      id: message.id || this.createMessageId(),
       timestamp: Date.now()
+    };
+    
+    await this.updateChat(characterName, (messages) => {
+      messages.push(saved);
+    });
+    this.notify({ type: 'add', chatName: characterName, message: saved });
+    return true;
+  }
+
+  async updateMessage(characterName, messageId, changes) {
+    const updated = await this.updateChat(characterName, (messages) => {
+      const message = messages.find(m => m.id === messageId);
+      if (message) {
+        Object.assign(message, changes);
+      }
+      return message;
+    });
+    
+    if (!updated) return false;
+    this.notify({ type: 'update', chatName: characterName, message: updated });
+    return true;
+  }
+
+  // Alternate replies ("swipes") live on the assistant message; content and
+  // source always mirror the selected one so readers that ignore swipes
+  // still see what is shown
+  async setMessageSwipes(characterName, messageId, { swipes, swipeId, swipeInfo = [] }) {
+    const updated = await this.updateChat(characterName, (messages) => {
+      const message = messages.find(m => m.id === messageId);
+      if (!message || !swipes?.length) return null;
+
+      const selected = Math.min(Math.max(swipeId, 0), swipes.length - 1);
+      const info = swipeInfo[selected] || {};
+
+      Object.assign(message, {
+        swipes,
+        swipeId: selected,
+        swipeInfo,
+        content: swipes[selected],
+        provider: info.provider,
+        model: info.model,
+        fallback: info.fallback,
+        interrupted: info.interrupted,
+        truncated: info.truncated
+      });
+      return message;
     });
     
-    return await this.set(STORAGE_KEYS.chatHistory, allHistory);
+    if (!updated) return false;
+    this.notify({ type: 'update', chatName: characterName, message: updated });
+    return true;
+  }
+
+  async deleteMessage(characterName, messageId) {
+    const deleted = await this.updateChat(characterName, (messages) => {
+      const index = messages.findIndex(m => m.id === messageId);
+      if (index === -1) return false;
+      
+      messages.splice(index, 1);
+      return true;
+    });
+    
+    if (deleted) {
+      this.notify({ type: 'delete', chatName: characterName, messageId });
+    }
+    return deleted;
+  }
+
+  async renameChat(oldName, newName) {
+    await this.migrateLegacyHistory();
+    const messages = await this.get(this.getChatKey(oldName), null);
+    if (!messages) return false;
+
+    await this.set(this.getChatKey(newName), messages);
+    await this.copyArchive(oldName, newName);
+    await this.clearChatHistory(oldName);
+    await this.addToIndex(newName);
+    this.notify({ type: 'reset', chatName: newName, messages });
+    return true;
   }
 
   async clearChatHistory(characterName = null) {
+    await this.migrateLegacyHistory();
+    
+    // Queued behind the chat's pending writes, so a message saved just
+    // before the clear cannot land after it
+    const clearChat = name => this.enqueueWrite(name, async () => {
+      await this.remove(this.getChatKey(name));
+      await this.remove(this.getArchiveKey(name));
+      return await this.updateIndex(names => names.filter(other => other !== name));
+    });
+    
     if (characterName) {
-      const allHistory = await this.getChatHistory();
-      delete allHistory[characterName];
-      return await this.set(STORAGE_KEYS.chatHistory, allHistory);
-    } else {
-      return await this.remove(STORAGE_KEYS.chatHistory);
+      const cleared = await clearChat(characterName);
+      this.notify({ type: 'clear', chatName: characterName });
+      return cleared;
+    }
+    
+    for (const name of await this.get(STORAGE_KEYS.chatIndex, [])) {
+      await clearChat(name);
     }
+    await this.enqueueWrite(STORAGE_KEYS.chatSessions, () => this.remove(STORAGE_KEYS.chatSessions));
+    await this.enqueueWrite(STORAGE_KEYS.chatBranches, () => this.remove(STORAGE_KEYS.chatBranches));
+    const cleared = await this.updateIndex(() => []);
+    this.notify({ type: 'clear', chatName: characterName });
+    return cleared;
+  }
+
+  // Sessions: a character can have several separate conversations. The
+  // registry per character lives under chatSessions; the main session keeps
+  // the character's original chat key.
+  getSessionChatName(characterName, sessionId = MAIN_SESSION.id) {
+    return sessionId === MAIN_SESSION.id ? characterName : `${characterName}@${sessionId}`;
+  }
+
+  async getSessions(characterName) {
+    const allSessions = await this.get(STORAGE_KEYS.chatSessions, {});
+    return allSessions[characterName] || this.createSessionRegistry();
+  }
+
+  createSessionRegistry() {
+    return {
+      activeSession: MAIN_SESSION.id,
+      sessions: [{ id: MAIN_SESSION.id, title: MAIN_SESSION.title, createdAt: null, updatedAt: null }]
+    };
+  }
+
+  // Read-modify-write of one character's registry. Every registry shares
+  // the chatSessions key, so updates queue on that key; update returns
+  // false to leave the registry unsaved.
+  updateSessions(characterName, update) {
+    return this.enqueueWrite(STORAGE_KEYS.chatSessions, async () => {
+      const allSessions = await this.get(STORAGE_KEYS.chatSessions, {});
+      const registry = allSessions[characterName] || this.createSessionRegistry();
+      const result = await update(registry);
+      if (result === false) return false;
+
+      allSessions[characterName] = registry;
+      await this.set(STORAGE_KEYS.chatSessions, allSessions);
+      return result;
+    });
+  }
+
+  // New sessions become the active one
+  async createSession(characterName, { title = null, messages = [] } = {}) {
+    const id = `session_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`;
+
+    if (messages.length > 0) {
+      await this.setChatHistory(this.getSessionChatName(characterName, id), messages);
+    }
+
+    return await this.updateSessions(characterName, (registry) => {
+      const session = {
+        id,
+        title: title || `Chat ${registry.sessions.length + 1}`,
+        createdAt: Date.now(),
+        updatedAt: Date.now()
+      };
+
+      registry.sessions.push(session);
+      registry.activeSession = session.id;
+      return session;
+    });
+  }
+
+  async updateSession(characterName, sessionId, changes) {
+    return await this.updateSessions(characterName, (registry) => {
+      const session = registry.sessions.find(s => s.id === sessionId);
+      if (!session) return false;
+
+      Object.assign(session, changes);
+      return true;
+    });
+  }
+
+  async setActiveSession(characterName, sessionId) {
+    return await this.updateSessions(characterName, (registry) => {
+      if (!registry.sessions.some(session => session.id === sessionId)) return false;
+
+      registry.activeSession = sessionId;
+      return true;
+    });
+  }
+
+  async renameSession(characterName, sessionId, title) {
+    if (!title) return false;
+    return await this.updateSession(characterName, sessionId, { title });
+  }
+
+  async touchSession(characterName, sessionId) {
+    return await this.updateSession(characterName, sessionId, { updatedAt: Date.now() });
+  }
+
+  // Copies every branch of the session along with its branch tree
+  async duplicateSession(characterName, sessionId) {
+    const registry = await this.getSessions(characterName);
+    const source = registry.sessions.find(s => s.id === sessionId);
+    if (!source) return null;
+
+    const session = await this.createSession(characterName, { title: `${source.title} (copy)` });
+    await this.copyBranchChats(
+      this.getSessionChatName(characterName, sessionId),
+      this.getSessionChatName(characterName, session.id)
+    );
+    return session;
+  }
+
+  // The last remaining session cannot be deleted; clearing it is the
+  // way to start over
+  async deleteSession(characterName, sessionId) {
+    const canDelete = registry => registry.sessions.length > 1 && registry.sessions.some(s => s.id === sessionId);
+    if (!canDelete(await this.getSessions(characterName))) return false;
+
+    await this.clearBranchChats(this.getSessionChatName(characterName, sessionId));
+
+    return await this.updateSessions(characterName, (registry) => {
+      if (!canDelete(registry)) return false;
+
+      registry.sessions = registry.sessions.filter(s => s.id !== sessionId);
+      if (registry.activeSession === sessionId) {
+        const latest = [...registry.sessions].sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0))[0];
+        registry.activeSession = latest.id;
+      }
+      return true;
+    });
+  }
+
+  // Inverse of getSessionChatName and getBranchChatName; session and branch
+  // ids have fixed prefixes, so names containing @ or # still parse
+  parseChatName(chatName) {
+    const match = /^(.*?)(?:@(session_[a-z0-9_]+))?(?:#(branch_[a-z0-9_]+))?$/.exec(chatName);
+    return {
+      characterName: match[1],
+      sessionId: match[2] || MAIN_SESSION.id,
+      branchId: match[3] || MAIN_BRANCH.id
+    };
+  }
+
+  // Branches: forks of one session's conversation. Each branch is a chat of
+  // its own holding a copy of the history up to the fork, and the branch
+  // tree is kept per session chat under chatBranches.
+  getBranchChatName(chatName, branchId = MAIN_BRANCH.id) {
+    return branchId === MAIN_BRANCH.id ? chatName : `${chatName}#${branchId}`;
+  }
+
+  async getBranches(chatName) {
+    const allBranches = await this.get(STORAGE_KEYS.chatBranches, {});
+    return allBranches[chatName] || this.createBranchTree();
+  }
+
+  createBranchTree() {
+    return {
+      activeBranch: MAIN_BRANCH.id,
+      branches: [{ id: MAIN_BRANCH.id, name: MAIN_BRANCH.name, parentId: null, createdAt: null }]
+    };
+  }
+
+  // Read-modify-write of one session's branch tree, queued on the shared
+  // chatBranches key like updateSessions; update returns false to leave
+  // the tree unsaved
+  updateBranches(chatName, update) {
+    return this.enqueueWrite(STORAGE_KEYS.chatBranches, async () => {
+      const allBranches = await this.get(STORAGE_KEYS.chatBranches, {});
+      const tree = allBranches[chatName] || this.createBranchTree();
+      const result = await update(tree);
+      if (result === false) return false;
+
+      allBranches[chatName] = tree;
+      await this.set(STORAGE_KEYS.chatBranches, allBranches);
+      return result;
+    });
+  }
+
+  // Fork the history of one branch at messageId (inclusive) into a new
+  // branch, which becomes the active one
+  async createBranch(chatName, sourceBranchId, messageId, name = null) {
+    const source = await this.getChatHistory(this.getBranchChatName(chatName, sourceBranchId));
+    const forkIndex = source.findIndex(message => message.id === messageId);
+    if (forkIndex === -1) {
+      throw new Error('Message to branch from was not found');
+    }
+
+    const forkMessage = source[forkIndex];
+    const id = `branch_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`;
+
+    const branchChatName = this.getBranchChatName(chatName, id);
+    await this.copyArchive(this.getBranchChatName(chatName, sourceBranchId), branchChatName);
+    await this.setChatHistory(branchChatName, source.slice(0, forkIndex + 1));
+
+    return await this.updateBranches(chatName, (tree) => {
+      const branch = {
+        id,
+        name: name || `Branch ${tree.branches.length}`,
+        parentId: sourceBranchId,
+        forkMessageId: messageId,
+        forkPreview: String(forkMessage.content || '').slice(0, 80),
+        createdAt: Date.now()
+      };
+
+      tree.branches.push(branch);
+      tree.activeBranch = branch.id;
+      return branch;
+    });
+  }
+
+  async setActiveBranch(chatName, branchId) {
+    return await this.updateBranches(chatName, (tree) => {
+      if (!tree.branches.some(branch => branch.id === branchId)) return false;
+
+      tree.activeBranch = branchId;
+      return true;
+    });
+  }
+
+  async renameBranch(chatName, branchId, name) {
+    if (!name) return false;
+
+    return await this.updateBranches(chatName, (tree) => {
+      const branch = tree.branches.find(b => b.id === branchId);
+      if (!branch) return false;
+
+      branch.name = name;
+      return true;
+    });
+  }
+
+  // Children of a deleted branch move up to its parent; their own copies of
+  // the shared history are unaffected. The main branch cannot be deleted.
+  async deleteBranch(chatName, branchId) {
+    if (branchId === MAIN_BRANCH.id) return false;
+
+    const deleted = await this.updateBranches(chatName, (tree) => {
+      const branch = tree.branches.find(b => b.id === branchId);
+      if (!branch) return false;
+
+      tree.branches.forEach(child => {
+        if (child.parentId === branchId) {
+          child.parentId = branch.parentId;
+        }
+      });
+      tree.branches = tree.branches.filter(b => b.id !== branchId);
+
+      if (tree.activeBranch === branchId) {
+        tree.activeBranch = branch.parentId || MAIN_BRANCH.id;
+      }
+      return true;
+    });
+
+    if (deleted) {
+      await this.clearChatHistory(this.getBranchChatName(chatName, branchId));
+    }
+    return deleted;
+  }
+
+  // Whole-tree helpers for sessions and characters
+  async copyBranchChats(fromChatName, toChatName) {
+    const tree = await this.getBranches(fromChatName);
+
+    for (const branch of tree.branches) {
+      const messages = await this.getChatHistory(this.getBranchChatName(fromChatName, branch.id));
+      await this.copyArchive(this.getBranchChatName(fromChatName, branch.id), this.getBranchChatName(toChatName, branch.id));
+      await this.setChatHistory(this.getBranchChatName(toChatName, branch.id), messages);
+    }
+    await this.updateBranches(toChatName, (copy) => {
+      Object.assign(copy, tree);
+    });
+  }
+
+  async renameBranchChats(oldChatName, newChatName) {
+    const tree = await this.getBranches(oldChatName);
+
+    for (const branch of tree.branches) {
+      await this.renameChat(this.getBranchChatName(oldChatName, branch.id), this.getBranchChatName(newChatName, branch.id));
+    }
+
+    await this.enqueueWrite(STORAGE_KEYS.chatBranches, async () => {
+      const allBranches = await this.get(STORAGE_KEYS.chatBranches, {});
+      if (allBranches[oldChatName]) {
+        allBranches[newChatName] = allBranches[oldChatName];
+        delete allBranches[oldChatName];
+        await this.set(STORAGE_KEYS.chatBranches, allBranches);
+      }
+    });
+  }
+
+  async clearBranchChats(chatName) {
+    const tree = await this.getBranches(chatName);
+
+    for (const branch of tree.branches) {
+      await this.clearChatHistory(this.getBranchChatName(chatName, branch.id));
+    }
+
+    return await this.enqueueWrite(STORAGE_KEYS.chatBranches, async () => {
+      const allBranches = await this.get(STORAGE_KEYS.chatBranches, {});
+      delete allBranches[chatName];
+      return await this.set(STORAGE_KEYS.chatBranches, allBranches);
+    });
+  }
+
+  // Character renames and deletes cover every session and branch
+  async renameCharacterChats(oldName, newName) {
+    const registry = await this.getSessions(oldName);
+
+    for (const session of registry.sessions) {
+      await this.renameBranchChats(this.getSessionChatName(oldName, session.id), this.getSessionChatName(newName, session.id));
+    }
+
+    await this.enqueueWrite(STORAGE_KEYS.chatSessions, async () => {
+      const allSessions = await this.get(STORAGE_KEYS.chatSessions, {});
+      if (allSessions[oldName]) {
+        allSessions[newName] = allSessions[oldName];
+        delete allSessions[oldName];
+        await this.set(STORAGE_KEYS.chatSessions, allSessions);
+      }
+    });
+  }
+
+  async clearCharacterChats(characterName) {
+    const registry = await this.getSessions(characterName);
+
+    for (const session of registry.sessions) {
+      await this.clearBranchChats(this.getSessionChatName(characterName, session.id));
+    }
+
+    return await this.enqueueWrite(STORAGE_KEYS.chatSessions, async () => {
+      const allSessions = await this.get(STORAGE_KEYS.chatSessions, {});
+      delete allSessions[characterName];
+      return await this.set(STORAGE_KEYS.chatSessions, allSessions);
+    });
+  }
+
+  // Per-conversation overrides such as the selected model, keyed by chat
+  // name so each session and branch keeps its own
+  async getChatSettings(chatName) {
+    const allSettings = await this.get(STORAGE_KEYS.chatSettings, {});
+    return allSettings[chatName] || {};
+  }
+
+  async saveChatSettings(chatName, settings) {
+    const allSettings = await this.get(STORAGE_KEYS.chatSettings, {});
+    allSettings[chatName] = { ...allSettings[chatName], ...settings };
+    return await this.set(STORAGE_KEYS.chatSettings, allSettings);
   }
 
   async getChatStats(characterName = null) {
@@ -398,6 +1051,7 @@ class WorldInfoStorage extends StorageManager {
 export const storage = new StorageManager();
 export const settingsStorage = new SettingsStorage();
 export const characterStorage = new CharacterStorage();
+export const groupStorage = new GroupStorage();
 export const chatStorage = new ChatStorage();
 export const worldInfoStorage = new WorldInfoStorage();
 
@@ -406,11 +1060,13 @@ export default {
   StorageManager,
   SettingsStorage,
   CharacterStorage,
+  GroupStorage,
   ChatStorage,
   WorldInfoStorage,
   storage,
   settingsStorage,
   characterStorage,
+  groupStorage,
   chatStorage,
   worldInfoStorage
 };
\ No newline at end of file
@@ -0,0 +1,489 @@
+// LLMAXX Transcripts
+// Converts a conversation to Markdown, HTML, JSONL and SillyTavern chat files,
+// and reads SillyTavern, JSONL and OpenAI-style chat logs back in
+
+import { markdown, escapeHtml } from './markdown.js';
+import { MESSAGE_TYPES } from './constants.js';
+
+const EXPORT_FORMATS = {
+  markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+  html: { label: 'HTML transcript', extension: 'html', mimeType: 'text/html' },
+  jsonl: { label: 'JSONL', extension: 'jsonl', mimeType: 'application/x-ndjson' },
+  sillytavern: { label: 'SillyTavern chat', extension: 'jsonl', mimeType: 'application/x-ndjson' }
+};
+
+const IMPORT_FORMATS = {
+  sillytavern: 'SillyTavern chat',
+  jsonl: 'LLMAXX JSONL',
+  openai: 'OpenAI messages'
+};
+
+const MONTHS = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+// Inline copy of the chat's dark theme so the page works on its own
+const HTML_STYLES = `
+  body { margin: 0; background: #1a1a1f; color: #e4e4e7; font: 15px/1.55 system-ui, sans-serif; }
+  main, header { max-width: 760px; margin: 0 auto; padding: 24px; }
+  header { border-bottom: 1px solid rgba(139, 92, 246, 0.3); }
+  h1 { margin: 0 0 4px; font-size: 24px; }
+  .meta { color: #a1a1aa; font-size: 13px; }
+  .character dt { color: #a1a1aa; font-size: 12px; text-transform: uppercase; margin-top: 12px; }
+  .character dd { margin: 4px 0 0; white-space: pre-wrap; }
+  .message { margin: 16px 0; }
+  .message .speaker { font-weight: 600; font-size: 13px; }
+  .message .time { color: #71717a; font-size: 12px; margin-left: 8px; }
+  .message .content { margin-top: 4px; padding: 12px 16px; background: #24242a; border: 1px solid rgba(139, 92, 246, 0.3); border-radius: 10px; }
+  .message.user .content { background: rgba(139, 92, 246, 0.15); }
+  .content > :first-child { margin-top: 0; } .content > :last-child { margin-bottom: 0; }
+  pre { overflow-x: auto; padding: 12px; background: #111114; border-radius: 6px; }
+  code { font-family: ui-monospace, monospace; font-size: 13px; }
+  blockquote { margin: 0; padding-left: 12px; border-left: 3px solid #8b5cf6; color: #a1a1aa; }
+  table { border-collapse: collapse; } th, td { border: 1px solid #3f3f46; padding: 4px 8px; }
+  a { color: #a78bfa; }
+  .hl-keyword { color: #c084fc; } .hl-string { color: #86efac; } .hl-comment { color: #71717a; font-style: italic; }
+  .hl-number, .hl-literal { color: #fdba74; } .hl-function { color: #93c5fd; }
+  .hl-property, .hl-attr { color: #f9a8d4; } .hl-variable { color: #fde047; } .hl-tag { color: #f472b6; }
+`;
+
+function pad(number) {
+  return String(number).padStart(2, '0');
+}
+
+class TranscriptExporter {
+  // Card fields worth keeping with a transcript; cards keep them under data
+  // (V2) or at the top level (V1)
+  getCharacterMetadata(character) {
+    if (!character) return null;
+
+    const field = (name) => character.data?.[name] || character[name] || '';
+    return {
+      name: character.name || field('name'),
+      description: field('description'),
+      personality: field('personality'),
+      scenario: field('scenario'),
+      first_mes: field('first_mes'),
+      creator: field('creator'),
+      character_version: field('character_version'),
+      tags: character.data?.tags || character.tags || []
+    };
+  }
+
+  getSpeaker(message, { character, userName }) {
+    if (message.type === MESSAGE_TYPES.user) return userName;
+    if (message.type === MESSAGE_TYPES.assistant) return message.speaker || character?.name || 'Assistant';
+    return message.type.charAt(0).toUpperCase() + message.type.slice(1);
+  }
+
+  getFilename(format, { character, title, exportedAt }) {
+    const date = new Date(exportedAt);
+    const name = [character?.name || 'Chat', title, `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`]
+      .filter(Boolean)
+      .join(' - ')
+      .replace(/[\\/:*?"<>|]+/g, '_');
+    return `${name}.${EXPORT_FORMATS[format].extension}`;
+  }
+
+  // conversation: { character, title, messages, userName }
+  export(format, conversation) {
+    if (!EXPORT_FORMATS[format]) {
+      throw new Error(`Unknown export format: ${format}`);
+    }
+
+    const options = {
+      userName: 'User',
+      exportedAt: Date.now(),
+      ...conversation,
+      messages: conversation.messages.filter(message => !message.streaming)
+    };
+    const converters = {
+      markdown: () => this.toMarkdown(options),
+      html: () => this.toHTML(options),
+      jsonl: () => this.toJSONL(options),
+      sillytavern: () => this.toSillyTavern(options)
+    };
+
+    return {
+      content: converters[format](),
+      filename: this.getFilename(format, options),
+      mimeType: EXPORT_FORMATS[format].mimeType
+    };
+  }
+
+  toMarkdown(options) {
+    const { character, title, messages, exportedAt } = options;
+    const metadata = this.getCharacterMetadata(character);
+    const lines = [`# ${[metadata?.name || 'Chat', title].filter(Boolean).join(' — ')}`, ''];
+
+    lines.push(`*Exported ${new Date(exportedAt).toLocaleString()} · ${messages.length} messages*`, '');
+
+    if (metadata) {
+      const details = [
+        ['Creator', metadata.creator],
+        ['Version', metadata.character_version],
+        ['Tags', metadata.tags.join(', ')]
+      ].filter(([, value]) => value);
+      details.forEach(([label, value]) => lines.push(`- **${label}:** ${value}`));
+      if (details.length) lines.push('');
+
+      [['Description', metadata.description], ['Personality', metadata.personality], ['Scenario', metadata.scenario]]
+        .filter(([, value]) => value)
+        .forEach(([label, value]) => lines.push(`## ${label}`, '', value.trim(), ''));
+    }
+
+    lines.push('---', '');
+
+    messages.forEach(message => {
+      const time = message.timestamp ? ` · ${new Date(message.timestamp).toLocaleString()}` : '';
+      lines.push(`### ${this.getSpeaker(message, options)}${time}`, '', String(message.content || '').trim(), '');
+    });
+
+    return lines.join('\n');
+  }
+
+  // A single self-contained page; message text goes through the same
+  // sanitized Markdown renderer as the chat
+  toHTML(options) {
+    const { character, title, messages, exportedAt } = options;
+    const metadata = this.getCharacterMetadata(character);
+    const heading = [metadata?.name || 'Chat', title].filter(Boolean).join(' — ');
+
+    const characterDetails = metadata
+      ? [
+        ['Description', metadata.description],
+        ['Personality', metadata.personality],
+        ['Scenario', metadata.scenario],
+        ['Creator', metadata.creator],
+        ['Tags', metadata.tags.join(', ')]
+      ]
+        .filter(([, value]) => value)
+        .map(([label, value]) => `<dt>${label}</dt><dd>${escapeHtml(value)}</dd>`)
+        .join('\n')
+      : '';
+
+    const body = messages.map(message => `
+    <section class="message ${escapeHtml(message.type)}">
+      <span class="speaker">${escapeHtml(this.getSpeaker(message, options))}</span>
+      ${message.timestamp ? `<span class="time">${escapeHtml(new Date(message.timestamp).toLocaleString())}</span>` : ''}
+      <div class="content">${markdown.render(String(message.content || ''))}</div>
+    </section>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(heading)}</title>
+  <style>${HTML_STYLES}</style>
+</head>
+<body>
+  <header>
+    <h1>${escapeHtml(heading)}</h1>
+    <div class="meta">Exported ${escapeHtml(new Date(exportedAt).toLocaleString())} · ${messages.length} messages</div>
+    ${characterDetails ? `<dl class="character">\n${characterDetails}\n</dl>` : ''}
+  </header>
+  <main>${body}
+  </main>
+</body>
+</html>
+`;
+  }
+
+  // First line describes the chat, then one stored message per line
+  toJSONL({ character, title, messages, exportedAt }) {
+    const header = {
+      type: 'llmaxx_chat',
+      title: title || null,
+      character: this.getCharacterMetadata(character),
+      exported_at: new Date(exportedAt).toISOString()
+    };
+
+    return [header, ...messages].map(line => JSON.stringify(line)).join('\n') + '\n';
+  }
+
+  // SillyTavern chat file: a header line, then name/is_user/mes/send_date
+  // records; alternate replies travel as swipes
+  toSillyTavern(options) {
+    const { character, title, messages, userName } = options;
+    const characterName = character?.name || 'Assistant';
+    const firstTimestamp = messages[0]?.timestamp || options.exportedAt;
+
+    const header = {
+      user_name: userName,
+      character_name: characterName,
+      create_date: this.formatSillyTavernCreateDate(firstTimestamp),
+      chat_metadata: {
+        llmaxx: {
+          title: title || null,
+          character: this.getCharacterMetadata(character)
+        }
+      }
+    };
+
+    const records = messages.map(message => {
+      const isUser = message.type === MESSAGE_TYPES.user;
+      const record = {
+        name: this.getSpeaker(message, options),
+        is_user: isUser,
+        is_system: !isUser && message.type !== MESSAGE_TYPES.assistant,
+        send_date: this.formatSillyTavernDate(message.timestamp || firstTimestamp),
+        mes: String(message.content || ''),
+        extra: message.model ? { api: message.provider, model: message.model } : {}
+      };
+
+      if (message.swipes?.length > 1) {
+        record.swipe_id = message.swipeId || 0;
+        record.swipes = message.swipes;
+        record.swipe_info = message.swipes.map((_, index) => {
+          const info = message.swipeInfo?.[index] || {};
+          return {
+            send_date: this.formatSillyTavernDate(info.timestamp || message.timestamp || firstTimestamp),
+            extra: info.model ? { api: info.provider, model: info.model } : {}
+          };
+        });
+      }
+
+      return record;
+    });
+
+    return [header, ...records].map(line => JSON.stringify(line)).join('\n') + '\n';
+  }
+
+  // Reads a chat file into { format, title, characterName, userName,
+  // character, messages }. Messages come back oldest first and without ids;
+  // the caller assigns those when it stores them.
+  parse(text, filename = '') {
+    const trimmed = String(text || '').trim();
+    if (!trimmed) {
+      throw new Error('The file is empty');
+    }
+
+    const title = filename.replace(/\.[^.]+$/, '') || null;
+
+    // A whole-file JSON document is an OpenAI-style messages list
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch {
+      data = undefined;
+    }
+    if (Array.isArray(data)) return this.fromOpenAI({ messages: data }, title);
+    if (Array.isArray(data?.messages)) return this.fromOpenAI(data, title);
+
+    const lines = trimmed.split(/\r?\n/).filter(line => line.trim()).map((line, index) => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        throw new Error(`Line ${index + 1} is not valid JSON`);
+      }
+    });
+    const [header, ...records] = lines;
+    // Lines that are valid JSON but not objects (numbers, strings, null)
+    // are skipped rather than inspected
+    const isObject = line => line !== null && typeof line === 'object';
+
+    if (header?.type === 'llmaxx_chat') {
+      return this.fromJSONL(header, records, title);
+    }
+    if (isObject(header) && ('user_name' in header || 'character_name' in header || 'chat_metadata' in header)) {
+      return this.fromSillyTavern(header, records.filter(isObject), title);
+    }
+    // SillyTavern chats saved without a header line
+    if (lines.every(line => isObject(line) && 'mes' in line)) {
+      return this.fromSillyTavern({}, lines, title);
+    }
+
+    throw new Error('Unrecognized chat format');
+  }
+
+  fromJSONL(header, records, title) {
+    const messages = records
+      .filter(record => record && Object.values(MESSAGE_TYPES).includes(record.type))
+      .map(({ id: _id, streaming: _streaming, ...message }) => message);
+
+    return {
+      format: 'jsonl',
+      title: header.title || title,
+      characterName: header.character?.name || null,
+      userName: null,
+      character: header.character || null,
+      messages
+    };
+  }
+
+  fromSillyTavern(header, records, title) {
+    const importedAt = Date.now();
+    let previous = null;
+
+    const messages = records.map(record => {
+      const timestamp = this.parseSillyTavernDate(record.send_date) || previous || importedAt;
+      previous = timestamp;
+
+      const type = record.is_user
+        ? MESSAGE_TYPES.user
+        : record.is_system ? MESSAGE_TYPES.narration : MESSAGE_TYPES.assistant;
+      const message = {
+        type,
+        content: String(record.mes ?? ''),
+        timestamp
+      };
+
+      if (type !== MESSAGE_TYPES.assistant) return message;
+
+      // Group chats name each member's lines
+      if (record.name && header.character_name && record.name !== header.character_name) {
+        message.speaker = record.name;
+      }
+      message.provider = record.extra?.api || null;
+      message.model = record.extra?.model || null;
+
+      const swipes = Array.isArray(record.swipes) && record.swipes.length > 0
+        ? record.swipes.map(swipe => String(swipe ?? ''))
+        : [message.content];
+      const swipeId = Math.min(Math.max(Number(record.swipe_id) || 0, 0), swipes.length - 1);
+
+      message.swipes = swipes;
+      message.swipeId = swipeId;
+      message.swipeInfo = swipes.map((_, index) => {
+        const info = record.swipe_info?.[index];
+        if (!info) {
+          return index === swipeId
+            ? { provider: message.provider, model: message.model, fallback: false, timestamp }
+            : { timestamp };
+        }
+        return {
+          provider: info.extra?.api || null,
+          model: info.extra?.model || null,
+          fallback: false,
+          timestamp: this.parseSillyTavernDate(info.send_date) || timestamp
+        };
+      });
+      message.content = swipes[swipeId];
+
+      return message;
+    });
+
+    const llmaxx = header.chat_metadata?.llmaxx;
+    return {
+      format: 'sillytavern',
+      title: llmaxx?.title || title,
+      characterName: header.character_name
+        || records.find(record => !record.is_user && !record.is_system && record.name)?.name
+        || null,
+      userName: header.user_name || records.find(record => record.is_user && record.name)?.name || null,
+      character: llmaxx?.character || null,
+      messages
+    };
+  }
+
+  // { messages: [{ role, content, name? }] } or a bare array of those.
+  // Tool calls and empty turns are skipped; without timestamps the
+  // messages keep their order a millisecond apart.
+  fromOpenAI(data, title) {
+    const roles = {
+      user: MESSAGE_TYPES.user,
+      assistant: MESSAGE_TYPES.assistant,
+      system: MESSAGE_TYPES.system,
+      developer: MESSAGE_TYPES.system
+    };
+    const importedAt = Date.now();
+
+    const turns = data.messages
+      .filter(turn => roles[turn?.role])
+      .map(turn => ({ ...turn, text: this.getOpenAIText(turn.content) }))
+      .filter(turn => turn.text.trim());
+
+    const messages = turns.map((turn, index) => {
+      const stamp = turn.timestamp ?? turn.created_at ?? turn.created;
+      const timestamp = typeof stamp === 'number'
+        ? (stamp < 1e12 ? stamp * 1000 : stamp)
+        : (stamp && Date.parse(stamp)) || importedAt - turns.length + index;
+
+      const message = { type: roles[turn.role], content: turn.text, timestamp };
+      if (message.type === MESSAGE_TYPES.assistant) {
+        message.model = turn.model || data.model || null;
+        message.swipes = [turn.text];
+        message.swipeId = 0;
+        message.swipeInfo = [{ model: message.model, timestamp }];
+      }
+      return message;
+    });
+
+    return {
+      format: 'openai',
+      title: data.title || title,
+      characterName: turns.find(turn => turn.role === 'assistant' && turn.name)?.name || null,
+      userName: turns.find(turn => turn.role === 'user' && turn.name)?.name || null,
+      character: null,
+      messages
+    };
+  }
+
+  // Content is a string or a list of parts; only the text parts are kept
+  getOpenAIText(content) {
+    if (Array.isArray(content)) {
+      return content
+        .map(part => typeof part === 'string' ? part : part?.type === 'text' ? part.text : '')
+        .filter(Boolean)
+        .join('\n');
+    }
+    return content == null ? '' : String(content);
+  }
+
+  // Accepts send_date as SillyTavern has written it over the years: the
+  // "January 5, 2025 3:07pm" form, create_date style, ISO strings and
+  // epoch numbers. Returns null when the value can't be read.
+  parseSillyTavernDate(value) {
+    if (value == null || value === '') return null;
+    if (typeof value === 'number' || /^\d+$/.test(value)) {
+      const number = Number(value);
+      return number < 1e12 ? number * 1000 : number;
+    }
+
+    const text = String(value).trim();
+    const written = text.match(/^([A-Za-z]+) (\d{1,2}), (\d{4}) (\d{1,2}):(\d{2})\s*(am|pm)$/i);
+    if (written) {
+      const [, monthName, day, year, hours, minutes, meridiem] = written;
+      const month = MONTHS.findIndex(name => name.toLowerCase() === monthName.toLowerCase());
+      if (month !== -1) {
+        const hour = Number(hours) % 12 + (meridiem.toLowerCase() === 'pm' ? 12 : 0);
+        return new Date(Number(year), month, Number(day), hour, Number(minutes)).getTime();
+      }
+    }
+
+    const created = text.match(/^(\d{4})-(\d{2})-(\d{2})@(\d{2})h(\d{2})m(\d{2})s/);
+    if (created) {
+      const [, year, month, day, hours, minutes, seconds] = created.map(Number);
+      return new Date(year, month - 1, day, hours, minutes, seconds).getTime();
+    }
+
+    const parsed = Date.parse(text);
+    return Number.isNaN(parsed) ? null : parsed;
+  }
+
+  // "January 5, 2025 3:07pm", as SillyTavern writes send_date
+  formatSillyTavernDate(timestamp) {
+    const date = new Date(timestamp);
+    const hours = date.getHours();
+    return `${MONTHS[date.getMonth()]} ${date.getDate()}, ${date.getFullYear()} ${hours % 12 || 12}:${pad(date.getMinutes())}${hours < 12 ? 'am' : 'pm'}`;
+  }
+
+  // "2025-01-05@15h07m09s", as SillyTavern writes create_date
+  formatSillyTavernCreateDate(timestamp) {
+    const date = new Date(timestamp);
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}@${pad(date.getHours())}h${pad(date.getMinutes())}m${pad(date.getSeconds())}s`;
+  }
+}
+
+// Create and export transcript exporter instance
+export const transcripts = new TranscriptExporter();
+
+export {
+  TranscriptExporter,
+  EXPORT_FORMATS,
+  IMPORT_FORMATS
+};
+
+export default transcripts;